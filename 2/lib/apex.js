@@ -1,6 +1,153 @@
 // lib/apex.js
-async function runApex(conn, apexCode) {
-    return await conn.tooling.executeAnonymous(apexCode);
+const fs = require('fs').promises;
+const { sfRequest } = require('./http');
+const { soql, dateTimeLiteral } = require('./soqlbuilder');
+
+const LOG_LEVELS = ['NONE', 'ERROR', 'WARN', 'INFO', 'DEBUG', 'FINE', 'FINER', 'FINEST'];
+const TRACE_FLAG_MINUTES = 30;
+
+async function getCurrentUserId(conn) {
+    const userInfo = await conn.requestGet('/services/oauth2/userinfo');
+    return userInfo.user_id;
+}
+
+// Find the DebugLevel by DeveloperName, creating it (or updating its Apex level) as needed
+async function ensureDebugLevel(conn, developerName, apexCodeLevel) {
+    const result = await conn.tooling.query(soql`SELECT Id, ApexCode FROM DebugLevel WHERE DeveloperName = ${developerName} LIMIT 1`);
+    if (result.records.length > 0) {
+        const debugLevel = result.records[0];
+        if (debugLevel.ApexCode !== apexCodeLevel) {
+            await conn.tooling.sobject('DebugLevel').update({ Id: debugLevel.Id, ApexCode: apexCodeLevel });
+        }
+        return debugLevel.Id;
+    }
+    const created = await conn.tooling.sobject('DebugLevel').create({
+        DeveloperName: developerName,
+        MasterLabel: developerName,
+        ApexCode: apexCodeLevel,
+        ApexProfiling: 'INFO',
+        Callout: 'INFO',
+        Database: 'INFO',
+        System: 'DEBUG',
+        Validation: 'INFO',
+        Visualforce: 'INFO',
+        Workflow: 'INFO'
+    });
+    if (!created.success) {
+        throw new Error(`Error creating DebugLevel ${developerName}: ${JSON.stringify(created.errors)}`);
+    }
+    return created.id;
+}
+
+// Create a DEVELOPER_LOG TraceFlag for the user, or extend the existing one
+async function ensureTraceFlag(conn, userId, debugLevelId) {
+    const now = new Date();
+    const expiration = new Date(now.getTime() + TRACE_FLAG_MINUTES * 60 * 1000);
+    const result = await conn.tooling.query(
+        soql`SELECT Id, ExpirationDate FROM TraceFlag WHERE TracedEntityId = ${userId} AND LogType = 'DEVELOPER_LOG' LIMIT 1`
+    );
+    if (result.records.length > 0) {
+        const traceFlag = result.records[0];
+        const update = { Id: traceFlag.Id, DebugLevelId: debugLevelId };
+        if (new Date(traceFlag.ExpirationDate) < expiration) {
+            update.StartDate = now.toISOString();
+            update.ExpirationDate = expiration.toISOString();
+        }
+        await conn.tooling.sobject('TraceFlag').update(update);
+        return traceFlag.Id;
+    }
+    const created = await conn.tooling.sobject('TraceFlag').create({
+        TracedEntityId: userId,
+        LogType: 'DEVELOPER_LOG',
+        DebugLevelId: debugLevelId,
+        StartDate: now.toISOString(),
+        ExpirationDate: expiration.toISOString()
+    });
+    if (!created.success) {
+        throw new Error(`Error creating TraceFlag: ${JSON.stringify(created.errors)}`);
+    }
+    return created.id;
+}
+
+// The ApexLog row can lag the executeAnonymous response by a few seconds
+async function findAnonymousApexLog(conn, userId, since, attempts = 5) {
+    const query = soql`SELECT Id, LogLength, Operation, Status, StartTime FROM ApexLog WHERE LogUserId = ${userId} AND StartTime >= ${dateTimeLiteral(since)} ORDER BY StartTime DESC LIMIT 5`;
+    for (let attempt = 0; attempt < attempts; attempt++) {
+        const result = await conn.tooling.query(query);
+        const log = result.records.find(record => /executeAnonymous/i.test(record.Operation || '')) || result.records[0];
+        if (log) return log;
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    return null;
+}
+
+async function getApexLogBody(conn, logId) {
+    const response = await sfRequest(conn, {
+        url: `/services/data/v${conn.apiVersion}/tooling/sobjects/ApexLog/${logId}/Body`,
+        responseType: 'text',
+        timeout: 60000
+    });
+    return response.data;
+}
+
+// USER_DEBUG entries; a multi-line message runs until the next timestamped log line
+function extractUserDebugLines(logBody) {
+    const entries = [];
+    let current = null;
+    logBody.split(/\r?\n/).forEach(line => {
+        const isLogLine = /^\d{2}:\d{2}:\d{2}\.\d+ \(\d+\)\|/.test(line);
+        if (isLogLine) {
+            if (current) entries.push(current);
+            const parts = line.split('|');
+            current = parts[1] === 'USER_DEBUG'
+                ? { line: (parts[2] || '').replace(/[[\]]/g, ''), level: parts[3], message: parts.slice(4).join('|') }
+                : null;
+        } else if (current) {
+            current.message += `\n${line}`;
+        }
+    });
+    if (current) entries.push(current);
+    return entries;
+}
+
+async function runApex(conn, apexCode, options = {}) {
+    if (!options.log) {
+        return await conn.tooling.executeAnonymous(apexCode);
+    }
+
+    const apexCodeLevel = (options.logLevel || 'FINEST').toUpperCase();
+    if (!LOG_LEVELS.includes(apexCodeLevel)) {
+        throw new Error(`Invalid log level "${options.logLevel}". Use one of: ${LOG_LEVELS.join(', ')}.`);
+    }
+
+    const userId = await getCurrentUserId(conn);
+    const debugLevelId = await ensureDebugLevel(conn, options.debugLevel || 'SFU_DEBUG', apexCodeLevel);
+    await ensureTraceFlag(conn, userId, debugLevelId);
+
+    const since = new Date(Date.now() - 5000); // allow for clock skew between client and org
+    const result = await conn.tooling.executeAnonymous(apexCode);
+
+    const apexLog = await findAnonymousApexLog(conn, userId, since);
+    if (!apexLog) {
+        return { ...result, log: null };
+    }
+    const body = await getApexLogBody(conn, apexLog.Id);
+    const logFile = options.logFile || `apex_${apexLog.Id}.log`;
+    await fs.writeFile(logFile, body);
+
+    return {
+        ...result,
+        log: {
+            id: apexLog.Id,
+            file: logFile,
+            length: apexLog.LogLength,
+            userDebug: extractUserDebugLines(body)
+        }
+    };
 }
 
-module.exports = { runApex };
\ No newline at end of file
+module.exports = {
+    LOG_LEVELS,
+    extractUserDebugLines,
+    runApex
+};
@@ -0,0 +1,188 @@
+// lib/apextest.js
+const fs = require('fs').promises;
+const path = require('path');
+const chalk = require('chalk');
+const { soql } = require('./soqlbuilder');
+
+const PENDING_STATUSES = ['Holding', 'Queued', 'Preparing', 'Processing'];
+// A class that fails to compile or is aborted ends in one of these and has no ApexTestResult rows
+const FAILED_STATUSES = ['Failed', 'Aborted'];
+
+async function startTestRun(conn, { classNames = [], suiteNames = [], all = false }) {
+    const body = all
+        ? { testLevel: 'RunLocalTests' }
+        : {
+            testLevel: 'RunSpecifiedTests',
+            classNames: classNames.length > 0 ? classNames.join(',') : undefined,
+            suiteNames: suiteNames.length > 0 ? suiteNames.join(',') : undefined
+        };
+    body.skipCodeCoverage = false;
+    const jobId = await conn.requestPost(`/services/data/v${conn.apiVersion}/tooling/runTestsAsynchronous/`, body).catch(err => {
+        throw new Error(`Error starting test run: ${err.message}`);
+    });
+    return String(jobId).replace(/"/g, '');
+}
+
+async function waitForTestRun(conn, jobId, { pollInterval = 5000, maxWait = 60 * 60 * 1000, queueTimeout = 2 * 60 * 1000 } = {}) {
+    const startTime = Date.now();
+    while (true) {
+        const result = await conn.tooling.query(soql`SELECT Id, Status, ApexClass.Name, ExtendedStatus FROM ApexTestQueueItem WHERE ParentJobId = ${jobId}`);
+        const items = result.records;
+        const pending = items.filter(item => PENDING_STATUSES.includes(item.Status));
+        const done = items.length - pending.length;
+        console.log(chalk.yellow(`Test run ${jobId}: ${done}/${items.length} classes complete`));
+        if (items.length > 0 && pending.length === 0) {
+            return items;
+        }
+        if (items.length === 0 && Date.now() - startTime > queueTimeout) {
+            throw new Error(`No test classes were queued for test run ${jobId}; check the class and suite names.`);
+        }
+        if (Date.now() - startTime > maxWait) {
+            throw new Error(`Test run ${jobId} polling timed out after ${Math.round(maxWait / 60000)} minutes.`);
+        }
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+}
+
+async function getTestResults(conn, jobId) {
+    let result = await conn.tooling.query(soql`SELECT Id, Outcome, MethodName, Message, StackTrace, RunTime, ApexClass.Name FROM ApexTestResult WHERE AsyncApexJobId = ${jobId} ORDER BY ApexClass.Name, MethodName`);
+    let records = result.records || [];
+    while (!result.done && result.nextRecordsUrl) {
+        result = await conn.tooling.queryMore(result.nextRecordsUrl);
+        records = records.concat(result.records || []);
+    }
+    return records.map(record => ({
+        className: record.ApexClass ? record.ApexClass.Name : 'Unknown',
+        methodName: record.MethodName,
+        outcome: record.Outcome,
+        message: record.Message,
+        stackTrace: record.StackTrace,
+        runTime: record.RunTime || 0
+    }));
+}
+
+// Per-class coverage from ApexCodeCoverageAggregate (org-wide, updated by this run)
+async function getCodeCoverage(conn) {
+    let result = await conn.tooling.query('SELECT ApexClassOrTrigger.Name, NumLinesCovered, NumLinesUncovered FROM ApexCodeCoverageAggregate ORDER BY ApexClassOrTrigger.Name');
+    let records = result.records || [];
+    while (!result.done && result.nextRecordsUrl) {
+        result = await conn.tooling.queryMore(result.nextRecordsUrl);
+        records = records.concat(result.records || []);
+    }
+    const classes = records
+        .map(record => {
+            const covered = record.NumLinesCovered || 0;
+            const uncovered = record.NumLinesUncovered || 0;
+            const total = covered + uncovered;
+            return {
+                name: record.ApexClassOrTrigger ? record.ApexClassOrTrigger.Name : 'Unknown',
+                coveredLines: covered,
+                uncoveredLines: uncovered,
+                percent: total === 0 ? 100 : Math.round((covered / total) * 10000) / 100
+            };
+        })
+        .filter(item => item.coveredLines + item.uncoveredLines > 0);
+    const coveredLines = classes.reduce((sum, item) => sum + item.coveredLines, 0);
+    const totalLines = classes.reduce((sum, item) => sum + item.coveredLines + item.uncoveredLines, 0);
+    return {
+        summary: {
+            coveredLines,
+            totalLines,
+            percent: totalLines === 0 ? 100 : Math.round((coveredLines / totalLines) * 10000) / 100
+        },
+        classes
+    };
+}
+
+function escapeXml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Queue items of classes that did not run: { className, status, message }
+function getClassErrors(items) {
+    return items
+        .filter(item => FAILED_STATUSES.includes(item.Status))
+        .map(item => ({
+            className: item.ApexClass ? item.ApexClass.Name : 'Unknown',
+            status: item.Status,
+            message: item.ExtendedStatus || `Test class ${item.Status.toLowerCase()}`
+        }));
+}
+
+function toJUnitXml(jobId, results, classErrors = []) {
+    const byClass = new Map();
+    results.forEach(result => {
+        if (!byClass.has(result.className)) byClass.set(result.className, []);
+        byClass.get(result.className).push(result);
+    });
+    classErrors.forEach(error => {
+        if (!byClass.has(error.className)) byClass.set(error.className, []);
+    });
+
+    const suites = Array.from(byClass.entries()).map(([className, tests]) => {
+        const failures = tests.filter(test => test.outcome === 'Fail' || test.outcome === 'CompileFail').length;
+        const skipped = tests.filter(test => test.outcome === 'Skip').length;
+        const time = tests.reduce((sum, test) => sum + test.runTime, 0) / 1000;
+        // A class that failed as a whole is reported as one errored test case
+        const errors = classErrors.filter(error => error.className === className);
+        const errorCases = errors.map(error =>
+            `    <testcase classname="${escapeXml(className)}" name="${escapeXml(error.status)}" time="0.000">\n      <error message="${escapeXml(error.message)}">${escapeXml(error.message)}</error>\n    </testcase>`
+        );
+        const cases = tests.map(test => {
+            const attrs = `classname="${escapeXml(className)}" name="${escapeXml(test.methodName)}" time="${(test.runTime / 1000).toFixed(3)}"`;
+            if (test.outcome === 'Fail' || test.outcome === 'CompileFail') {
+                return `    <testcase ${attrs}>\n      <failure message="${escapeXml(test.message)}">${escapeXml(test.stackTrace)}</failure>\n    </testcase>`;
+            }
+            if (test.outcome === 'Skip') {
+                return `    <testcase ${attrs}>\n      <skipped/>\n    </testcase>`;
+            }
+            return `    <testcase ${attrs}/>`;
+        }).concat(errorCases);
+        return `  <testsuite name="${escapeXml(className)}" tests="${cases.length}" failures="${failures}" errors="${errors.length}" skipped="${skipped}" time="${time.toFixed(3)}">\n${cases.join('\n')}\n  </testsuite>`;
+    });
+
+    const failures = results.filter(test => test.outcome === 'Fail' || test.outcome === 'CompileFail').length;
+    const time = results.reduce((sum, test) => sum + test.runTime, 0) / 1000;
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<testsuites name="${escapeXml(jobId)}" tests="${results.length + classErrors.length}" failures="${failures}" errors="${classErrors.length}" time="${time.toFixed(3)}">\n` +
+        suites.join('\n') + (suites.length ? '\n' : '') +
+        '</testsuites>\n';
+}
+
+async function writeReport(filePath, content) {
+    await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.writeFile(filePath, content);
+}
+
+async function runApexTests(conn, { classNames, suiteNames, all, junitFile, coverageFile, pollInterval } = {}) {
+    const jobId = await startTestRun(conn, { classNames, suiteNames, all });
+    console.log(chalk.yellow(`Test run started: ${jobId}`));
+    const items = await waitForTestRun(conn, jobId, { pollInterval });
+    const classErrors = getClassErrors(items);
+
+    const results = await getTestResults(conn, jobId);
+    const coverage = await getCodeCoverage(conn);
+
+    await writeReport(junitFile, toJUnitXml(jobId, results, classErrors));
+    await writeReport(coverageFile, JSON.stringify({ jobId, ...coverage }, null, 2));
+
+    return {
+        jobId,
+        results,
+        classErrors,
+        coverage,
+        passed: results.filter(test => test.outcome === 'Pass').length,
+        failed: results.filter(test => test.outcome === 'Fail' || test.outcome === 'CompileFail').length,
+        skipped: results.filter(test => test.outcome === 'Skip').length
+    };
+}
+
+module.exports = {
+    toJUnitXml,
+    runApexTests
+};
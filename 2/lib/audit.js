@@ -0,0 +1,115 @@
+// lib/audit.js
+// Setup Audit Trail history. Unlike SourceMember this works in production orgs (the org keeps 180 days).
+const { getUserIdFromUsername } = require('./utils');
+const { soql, dateLiteral, dateTimeLiteral } = require('./soqlbuilder');
+
+const AUDIT_COLUMNS = [
+    { id: 'Id', title: 'Id' },
+    { id: 'CreatedDate', title: 'Date' },
+    { id: 'CreatedByName', title: 'User' },
+    { id: 'CreatedByUsername', title: 'Username' },
+    { id: 'Section', title: 'Section' },
+    { id: 'Action', title: 'Action' },
+    { id: 'Display', title: 'Display' },
+    { id: 'DelegateUser', title: 'Delegate User' }
+];
+
+const AUDIT_GROUP_COLUMNS = [
+    { id: 'CreatedByName', title: 'User' },
+    { id: 'Section', title: 'Section' },
+    { id: 'Count', title: 'Changes' },
+    { id: 'FirstChange', title: 'First Change' },
+    { id: 'LastChange', title: 'Last Change' }
+];
+
+function toAuditRows(records) {
+    return records.map(record => ({
+        Id: record.Id,
+        CreatedDate: record.CreatedDate,
+        CreatedByName: record.CreatedBy && record.CreatedBy.Name ? record.CreatedBy.Name : 'N/A',
+        CreatedByUsername: record.CreatedBy && record.CreatedBy.Username ? record.CreatedBy.Username : '',
+        Section: record.Section || '',
+        Action: record.Action,
+        Display: record.Display,
+        DelegateUser: record.DelegateUser || ''
+    }));
+}
+
+// One row per user and section, busiest first
+function groupAuditRows(rows) {
+    const groups = new Map();
+    rows.forEach(row => {
+        const key = `${row.CreatedByName}\u0000${row.Section}`;
+        if (!groups.has(key)) {
+            groups.set(key, { CreatedByName: row.CreatedByName, Section: row.Section, Count: 0, FirstChange: row.CreatedDate, LastChange: row.CreatedDate });
+        }
+        const group = groups.get(key);
+        group.Count += 1;
+        if (row.CreatedDate < group.FirstChange) group.FirstChange = row.CreatedDate;
+        if (row.CreatedDate > group.LastChange) group.LastChange = row.CreatedDate;
+    });
+    return Array.from(groups.values()).sort((a, b) =>
+        b.Count - a.Count || a.CreatedByName.localeCompare(b.CreatedByName) || a.Section.localeCompare(b.Section));
+}
+
+async function auditTrail(conn, { sinceDate, untilDate, username, sections = [], actions = [] } = {}) {
+    let query = `
+        SELECT
+            Id,
+            CreatedDate,
+            CreatedBy.Name,
+            CreatedBy.Username,
+            Section,
+            Action,
+            Display,
+            DelegateUser
+        FROM SetupAuditTrail
+    `;
+    const conditions = [];
+
+    if (sinceDate) {
+        const since = dateTimeLiteral(`${dateLiteral(sinceDate).soqlLiteral}T00:00:00Z`);
+        conditions.push(soql`CreatedDate >= ${since}`);
+    }
+
+    if (untilDate) {
+        const until = dateTimeLiteral(`${dateLiteral(untilDate).soqlLiteral}T23:59:59Z`);
+        conditions.push(soql`CreatedDate <= ${until}`);
+    }
+
+    if (username) {
+        const userId = await getUserIdFromUsername(conn, username);
+        conditions.push(soql`CreatedById = ${userId}`);
+    }
+
+    if (sections.length > 0) {
+        conditions.push(soql`Section IN ${sections}`);
+    }
+
+    if (actions.length > 0) {
+        conditions.push(soql`Action IN ${actions}`);
+    }
+
+    if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+    }
+    query += ' ORDER BY CreatedDate DESC';
+
+    let result = await conn.query(query);
+    let allRecords = result.records || [];
+
+    while (!result.done && result.nextRecordsUrl) {
+        result = await conn.queryMore(result.nextRecordsUrl);
+        allRecords = allRecords.concat(result.records || []);
+    }
+
+    return allRecords;
+}
+
+module.exports = {
+    AUDIT_COLUMNS,
+    AUDIT_GROUP_COLUMNS,
+    toAuditRows,
+    groupAuditRows,
+    auditTrail
+};
@@ -1,29 +1,214 @@
 // lib/auth.js
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const util = require('util');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const axios = require('axios');
 const jsforce = require('jsforce');
 
-const execPromise = util.promisify(exec);
+const execFilePromise = util.promisify(execFile);
 
+const DEFAULT_LOGIN_URL = 'https://login.salesforce.com';
+const DEFAULT_API_VERSION = '60.0';
+const AUTH_METHODS = ['sfcli', 'jwt', 'refresh', 'password', 'env'];
+
+// sf CLI: reuse the session of an org already authorized with `sf org login`
 async function getSalesforceCredentials(username) {
-    const { stdout } = await execPromise(`sf org display -u ${username} --json`);
+    // execFile passes the username as one argument, so it is never parsed by a shell
+    const { stdout } = await execFilePromise('sf', ['org', 'display', '-u', username, '--json']);
     const result = JSON.parse(stdout);
     const accessToken = result.result.accessToken;
     const instanceUrl = result.result.instanceUrl;
-    const apiVersion = result.result.apiVersion || '60.0';
+    const apiVersion = result.result.apiVersion || DEFAULT_API_VERSION;
     return { accessToken, instanceUrl, apiVersion };
 }
 
-function initializeConnection(accessToken, instanceUrl, apiVersion) {
+async function requestToken(loginUrl, params) {
+    try {
+        const response = await axios.post(
+            `${loginUrl.replace(/\/$/, '')}/services/oauth2/token`,
+            new URLSearchParams(params).toString(),
+            { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 30000 }
+        );
+        return response.data;
+    } catch (error) {
+        const data = error.response && error.response.data;
+        if (data && data.error) {
+            throw new Error(`OAuth token request failed: ${data.error} - ${data.error_description || ''}`.trim());
+        }
+        throw new Error(`OAuth token request failed: ${error.message}`);
+    }
+}
+
+function base64Url(input) {
+    return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function buildJwtAssertion(clientId, username, audience, privateKey) {
+    const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const claims = base64Url(JSON.stringify({
+        iss: clientId,
+        sub: username,
+        aud: audience,
+        exp: Math.floor(Date.now() / 1000) + 180
+    }));
+    const signature = crypto.createSign('RSA-SHA256').update(`${header}.${claims}`).sign(privateKey);
+    return `${header}.${claims}.${base64Url(signature)}`;
+}
+
+// OAuth 2.0 JWT bearer flow: connected app consumer key + private key file
+async function getJwtCredentials(config) {
+    if (!config.clientId || !config.username || !config.privateKeyFile) {
+        throw new Error('JWT auth requires clientId, username and privateKeyFile.');
+    }
+    const loginUrl = config.loginUrl || DEFAULT_LOGIN_URL;
+    const privateKey = await fs.readFile(config.privateKeyFile, 'utf8').catch(err => {
+        throw new Error(`Error reading private key file: ${err.message}`);
+    });
+    const token = await requestToken(loginUrl, {
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion: buildJwtAssertion(config.clientId, config.username, loginUrl.replace(/\/$/, ''), privateKey)
+    });
+    return {
+        accessToken: token.access_token,
+        instanceUrl: token.instance_url,
+        apiVersion: config.apiVersion || DEFAULT_API_VERSION
+    };
+}
+
+// OAuth 2.0 refresh token flow
+async function getRefreshTokenCredentials(config) {
+    if (!config.clientId || !config.refreshToken) {
+        throw new Error('Refresh token auth requires clientId and refreshToken.');
+    }
+    const params = {
+        grant_type: 'refresh_token',
+        client_id: config.clientId,
+        refresh_token: config.refreshToken
+    };
+    if (config.clientSecret) params.client_secret = config.clientSecret;
+    const token = await requestToken(config.loginUrl || DEFAULT_LOGIN_URL, params);
+    return {
+        accessToken: token.access_token,
+        instanceUrl: token.instance_url,
+        apiVersion: config.apiVersion || DEFAULT_API_VERSION
+    };
+}
+
+// OAuth 2.0 username-password flow (password + optional security token)
+async function getPasswordCredentials(config) {
+    if (!config.clientId || !config.clientSecret || !config.username || !config.password) {
+        throw new Error('Password auth requires clientId, clientSecret, username and password.');
+    }
+    const token = await requestToken(config.loginUrl || DEFAULT_LOGIN_URL, {
+        grant_type: 'password',
+        client_id: config.clientId,
+        client_secret: config.clientSecret,
+        username: config.username,
+        password: `${config.password}${config.securityToken || ''}`
+    });
+    return {
+        accessToken: token.access_token,
+        instanceUrl: token.instance_url,
+        apiVersion: config.apiVersion || DEFAULT_API_VERSION
+    };
+}
+
+// Already-issued access token taken from the environment
+async function getEnvCredentials(config) {
+    const accessToken = config.accessToken || process.env.SF_ACCESS_TOKEN;
+    const instanceUrl = config.instanceUrl || process.env.SF_INSTANCE_URL;
+    if (!accessToken || !instanceUrl) {
+        throw new Error('Env auth requires SF_ACCESS_TOKEN and SF_INSTANCE_URL.');
+    }
+    return {
+        accessToken,
+        instanceUrl,
+        apiVersion: config.apiVersion || DEFAULT_API_VERSION
+    };
+}
+
+async function getCredentials(config) {
+    switch (config.method || 'sfcli') {
+        case 'sfcli':
+            if (!config.username) {
+                throw new Error('sf CLI auth requires a username or alias.');
+            }
+            return getSalesforceCredentials(config.username);
+        case 'jwt':
+            return getJwtCredentials(config);
+        case 'refresh':
+            return getRefreshTokenCredentials(config);
+        case 'password':
+            return getPasswordCredentials(config);
+        case 'env':
+            return getEnvCredentials(config);
+        default:
+            throw new Error(`Unknown auth method "${config.method}". Use one of: ${AUTH_METHODS.join(', ')}.`);
+    }
+}
+
+// Build an auth config from SF_* environment variables, overridden by each layer in turn
+function resolveAuthConfig(...layers) {
+    const env = process.env;
+    const config = {
+        method: env.SF_AUTH_METHOD,
+        username: env.SF_USERNAME,
+        loginUrl: env.SF_LOGIN_URL,
+        apiVersion: env.SF_API_VERSION,
+        clientId: env.SF_CLIENT_ID,
+        clientSecret: env.SF_CLIENT_SECRET,
+        privateKeyFile: env.SF_JWT_KEY_FILE,
+        refreshToken: env.SF_REFRESH_TOKEN,
+        password: env.SF_PASSWORD,
+        securityToken: env.SF_SECURITY_TOKEN,
+        accessToken: env.SF_ACCESS_TOKEN,
+        instanceUrl: env.SF_INSTANCE_URL
+    };
+    layers.filter(Boolean).forEach(overrides => {
+        Object.keys(overrides).forEach(key => {
+            if (overrides[key] !== undefined && overrides[key] !== null && overrides[key] !== '') {
+                config[key] = overrides[key];
+            }
+        });
+    });
+    if (!config.method) {
+        config.method = config.accessToken && config.instanceUrl && !config.username ? 'env' : 'sfcli';
+    }
+    return config;
+}
+
+// Re-issue credentials from the same auth provider when jsforce reports an expired session
+function createRefreshFn(authConfig) {
+    return (conn, callback) => {
+        getCredentials(authConfig)
+            .then(credentials => {
+                if (credentials.accessToken === conn.accessToken) {
+                    throw new Error(`auth method "${authConfig.method}" returned the same expired access token`);
+                }
+                if (credentials.instanceUrl) {
+                    conn.instanceUrl = credentials.instanceUrl;
+                }
+                callback(null, credentials.accessToken, credentials);
+            })
+            .catch(err => callback(err));
+    };
+}
+
+function initializeConnection(accessToken, instanceUrl, apiVersion, authConfig) {
     const conn = new jsforce.Connection({
         instanceUrl,
-        accessToken
+        accessToken,
+        refreshFn: authConfig ? createRefreshFn(authConfig) : undefined
     });
     conn.apiVersion = apiVersion;
     return conn;
 }
 
 module.exports = {
+    AUTH_METHODS,
     getSalesforceCredentials,
+    getCredentials,
+    resolveAuthConfig,
     initializeConnection
-};
\ No newline at end of file
+};
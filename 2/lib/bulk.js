@@ -1,190 +1,343 @@
 // lib/bulk.js
-const { createObjectCsvWriter } = require('csv-writer');
-const fs = require('fs').promises;
-const csvParse = require('csv-parse');
-const axios = require('axios');
+// Bulk API 2.0 ingest jobs. The CSV is streamed and split into upload-sized chunks (see csvchunker),
+// each chunk runs as its own job, and the per-job results are merged into one successful and one failed CSV.
+// Jobs are created with the delimiter and line ending detected in the file. Bulk API 2.0 offers an assignment rule
+// but no way to skip triggers, workflow or validation rules, so those always run.
+const chalk = require('chalk');
+const { parse } = require('csv-parse');
+const { sfRequest } = require('./http');
+const { createStreamWriter, exportRecords } = require('./exporter');
+const { DEFAULT_CHUNK_BYTES, COLUMN_DELIMITERS, resolveCsvFormat, chunkCsvFile } = require('./csvchunker');
+const { VALIDATION_COLUMNS, validateBulkCsv } = require('./bulkvalidate');
+const { SNAPSHOT_OPERATIONS, takeSnapshot, saveSnapshot } = require('./bulksnapshot');
+const { RESULTS_REPORT_FILE, ERROR_SUMMARY_COLUMNS, writeResultsReport, errorSummaryPath } = require('./bulkreport');
 
-async function runBulkApiJob(conn, sObject, operation, externalIdFieldName, csvFilePath) {
-    try {
-        // Test connection
-        await conn.query('SELECT Id FROM Account LIMIT 1').catch(err => {
-            throw new Error(`Connection test failed: ${err.message}`);
-        });
+const INGEST_OPERATIONS = ['insert', 'update', 'upsert', 'delete', 'hardDelete'];
+const FINAL_STATES = ['JobComplete', 'Failed', 'Aborted'];
+const SUCCESSFUL_RESULTS_FILE = 'bulk_api_successful_results.csv';
+const FAILED_RESULTS_FILE = 'bulk_api_failed_results.csv';
+const VALIDATION_REPORT_FILE = 'bulk_validation_report.csv';
+const RESULT_BATCH_SIZE = 2000;
 
-        // Validate object
-        await conn.describe(sObject).catch(err => {
-            throw new Error(`Invalid or inaccessible object "${sObject}": ${err.message}`);
-        });
+async function createIngestJob(conn, { sObject, operation, externalIdFieldName, columnDelimiter = 'COMMA', lineEnding = 'LF', assignmentRuleId }) {
+    return conn.requestPost(`/services/data/v${conn.apiVersion}/jobs/ingest`, {
+        object: sObject,
+        operation,
+        externalIdFieldName: externalIdFieldName || undefined,
+        assignmentRuleId: assignmentRuleId || undefined,
+        contentType: 'CSV',
+        columnDelimiter,
+        lineEnding
+    }).catch(err => {
+        throw new Error(`Error creating job: ${err.message}`);
+    });
+}
 
-        // Read and validate CSV
-        const csvContent = await fs.readFile(csvFilePath, 'utf8').catch(err => {
-            throw new Error(`Error reading CSV file: ${err.message}`);
+async function uploadJobData(conn, jobId, content) {
+    await conn.request({
+        method: 'PUT',
+        url: `/services/data/v${conn.apiVersion}/jobs/ingest/${jobId}/batches`,
+        body: content,
+        headers: { 'Content-Type': 'text/csv' },
+        timeout: 300000 // 5-minute timeout
+    }).catch(err => {
+        throw new Error(`Error uploading CSV data: ${err.message}`);
+    });
+}
+
+async function setJobState(conn, jobId, state) {
+    return conn.request({
+        method: 'PATCH',
+        url: `/services/data/v${conn.apiVersion}/jobs/ingest/${jobId}`,
+        body: JSON.stringify({ state }),
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 60000 // 1-minute timeout
+    }).catch(err => {
+        throw new Error(`Error setting job ${jobId} to ${state}: ${err.message}`);
+    });
+}
+
+async function waitForIngestJob(conn, jobId, { pollInterval = 5000, maxWait = 30 * 60 * 1000, label = `Job ${jobId}` } = {}) {
+    const startTime = Date.now();
+    let jobStatus = await conn.requestGet(`/services/data/v${conn.apiVersion}/jobs/ingest/${jobId}`).catch(err => {
+        throw new Error(`Error retrieving job status: ${err.message}`);
+    });
+    while (!FINAL_STATES.includes(jobStatus.state)) {
+        if (Date.now() - startTime > maxWait) {
+            throw new Error(`${label} status polling timed out after ${Math.round(maxWait / 60000)} minutes.`);
+        }
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        jobStatus = await conn.requestGet(`/services/data/v${conn.apiVersion}/jobs/ingest/${jobId}`).catch(err => {
+            throw new Error(`Error checking job status: ${err.message}`);
         });
-        if (!csvContent.trim()) {
-            throw new Error('CSV file is empty.');
+        console.log(chalk.yellow(`${label}: ${jobStatus.state}, records processed: ${jobStatus.numberRecordsProcessed}`));
+    }
+    return jobStatus;
+}
+
+// Stream one result set (successfulResults, failedResults) of a job into `onBatch`; results use the job's delimiter
+async function streamJobResults(conn, jobId, resultType, onBatch, { columnDelimiter = 'COMMA' } = {}) {
+    const response = await sfRequest(conn, {
+        url: `/services/data/v${conn.apiVersion}/jobs/ingest/${jobId}/${resultType}`,
+        headers: { 'Accept': 'text/csv' },
+        responseType: 'stream',
+        timeout: 300000 // 5-minute timeout
+    });
+    let batch = [];
+    let count = 0;
+    const parser = response.data.pipe(parse({ columns: true, bom: true, delimiter: COLUMN_DELIMITERS[columnDelimiter] || ',' }));
+    for await (const record of parser) {
+        batch.push(record);
+        if (batch.length >= RESULT_BATCH_SIZE) {
+            await onBatch(batch);
+            count += batch.length;
+            batch = [];
         }
-        // Check file size (e.g., warn if > 10MB)
-        const stats = await fs.stat(csvFilePath);
-        if (stats.size > 10 * 1024 * 1024) {
-            console.warn('Warning: Large CSV file detected (>10MB). Upload may take time.');
+    }
+    if (batch.length > 0) {
+        await onBatch(batch);
+        count += batch.length;
+    }
+    return count;
+}
+
+// A CSV writer that only creates its file once there is something to write
+function createLazyCsvWriter(filePath) {
+    let writer = null;
+    return {
+        filePath,
+        async writeRecords(records) {
+            if (!writer) writer = createStreamWriter(filePath, 'csv');
+            await writer.writeRecords(records);
+        },
+        async close() {
+            if (writer) await writer.close();
+        },
+        get count() {
+            return writer ? writer.count : 0;
         }
+    };
+}
 
-        const apiVersion = conn.apiVersion || '60.0';
-
-        // Create job
-        console.log('DEBUG: Creating Bulk API job...');
-        const jobInfo = await conn.requestPost(`/services/data/v${apiVersion}/jobs/ingest`, {
-            object: sObject,
-            operation,
-            externalIdFieldName: externalIdFieldName || undefined,
-            contentType: 'CSV',
-            lineEnding: 'LF'
-        }).catch(err => {
-            throw new Error(`Error creating job: ${err.message}`);
-        });
-        console.log('DEBUG: Job created with ID:', jobInfo.id);
-
-        // Upload CSV
-        console.log('DEBUG: Uploading CSV data...');
-        await conn.request({
-            method: 'PUT',
-            url: `/services/data/v${apiVersion}/jobs/ingest/${jobInfo.id}/batches`,
-            body: csvContent,
-            headers: { 'Content-Type': 'text/csv' },
-            timeout: 300000 // 5-minute timeout
-        }).catch(err => {
-            throw new Error(`Error uploading CSV data: ${err.message}`);
-        });
-        console.log('DEBUG: CSV data uploaded.');
-
-        // Close job
-        console.log('DEBUG: Closing job...');
-        await conn.request({
-            method: 'PATCH',
-            url: `/services/data/v${apiVersion}/jobs/ingest/${jobInfo.id}`,
-            body: JSON.stringify({ state: 'UploadComplete' }),
-            headers: { 'Content-Type': 'application/json' },
-            timeout: 60000 // 1-minute timeout
-        }).catch(err => {
-            throw new Error(`Error closing job: ${err.message}`);
+// Run `worker` over an async iterable with at most `limit` in flight; the worker must not reject
+async function runWithConcurrency(items, limit, worker) {
+    const running = new Set();
+    const results = [];
+    try {
+        for await (const item of items) {
+            const task = worker(item).then(result => {
+                results.push(result);
+                running.delete(task);
+            });
+            running.add(task);
+            if (running.size >= limit) {
+                await Promise.race(running);
+            }
+        }
+    } finally {
+        // let jobs already submitted finish even if reading the input failed
+        await Promise.all(running);
+    }
+    return results;
+}
+
+async function runChunkJob(conn, chunk, jobOptions, writers, { wait = true, pollInterval, maxWait, onJobCreated = () => {} } = {}) {
+    const label = `Chunk ${chunk.index + 1}`;
+    const summary = { chunk: chunk.index + 1, id: null, state: null, recordCount: chunk.recordCount, numberRecordsProcessed: 0, numberRecordsFailed: 0, totalProcessingTime: 0, errorMessage: null };
+    try {
+        const jobInfo = await createIngestJob(conn, jobOptions);
+        summary.id = jobInfo.id;
+        onJobCreated(summary);
+        console.log(chalk.yellow(`${label}: job ${jobInfo.id} created for ${chunk.recordCount} record(s) (${(chunk.bytes / 1024 / 1024).toFixed(1)}MB)`));
+        await uploadJobData(conn, jobInfo.id, chunk.content);
+        await setJobState(conn, jobInfo.id, 'UploadComplete');
+        if (!wait) {
+            summary.state = 'UploadComplete';
+            return summary;
+        }
+
+        const jobStatus = await waitForIngestJob(conn, jobInfo.id, { pollInterval, maxWait, label: `${label} (job ${jobInfo.id})` });
+        Object.assign(summary, {
+            state: jobStatus.state,
+            numberRecordsProcessed: jobStatus.numberRecordsProcessed || 0,
+            numberRecordsFailed: jobStatus.numberRecordsFailed || 0,
+            totalProcessingTime: jobStatus.totalProcessingTime || 0,
+            errorMessage: jobStatus.errorMessage || null
         });
-        console.log('DEBUG: Job closed.');
 
-        // Poll job status
-        console.log('DEBUG: Polling job status...');
-        let jobStatus = await conn.requestGet(`/services/data/v${apiVersion}/jobs/ingest/${jobInfo.id}`).catch(err => {
-            throw new Error(`Error retrieving job status: ${err.message}`);
+        if (summary.numberRecordsProcessed > 0 || summary.numberRecordsFailed > 0) {
+            const resultOptions = { columnDelimiter: jobOptions.columnDelimiter };
+            await streamJobResults(conn, jobInfo.id, 'successfulResults', batch => writers.successful.writeRecords(batch), resultOptions);
+            await streamJobResults(conn, jobInfo.id, 'failedResults', batch => writers.failed.writeRecords(batch), resultOptions);
+        }
+    } catch (error) {
+        summary.state = summary.state || 'Failed';
+        summary.errorMessage = error.message;
+        console.error(chalk.red(`${label}${summary.id ? ` (job ${summary.id})` : ''}: ${error.message}`));
+    }
+    return summary;
+}
+
+// Check the CSV against the object describe; problems are also written to a CSV report
+async function validateBulkFile(conn, sObject, operation, externalIdFieldName, csvFilePath, { reportFile = VALIDATION_REPORT_FILE, mapping = null, delimiter } = {}) {
+    const describe = await conn.describe(sObject).catch(err => {
+        throw new Error(`Invalid or inaccessible object "${sObject}": ${err.message}`);
+    });
+    if (!delimiter) {
+        delimiter = COLUMN_DELIMITERS[(await resolveCsvFormat(csvFilePath)).columnDelimiter];
+    }
+    const validation = await validateBulkCsv(describe, csvFilePath, { operation, externalIdFieldName, mapping, delimiter });
+    if (validation.problemCount > 0) {
+        await exportRecords(validation.problems, { format: 'csv', out: reportFile, columns: VALIDATION_COLUMNS });
+    }
+    return { ...validation, reportFile: validation.problemCount > 0 ? reportFile : null };
+}
+
+async function runBulkApiJob(conn, sObject, operation, externalIdFieldName, csvFilePath, options = {}) {
+    const {
+        chunkBytes = DEFAULT_CHUNK_BYTES,
+        chunkRecords,
+        concurrency = 3,
+        successfulResultsFile = SUCCESSFUL_RESULTS_FILE,
+        failedResultsFile = FAILED_RESULTS_FILE,
+        resultsReportFile = RESULTS_REPORT_FILE,
+        wait = true,
+        validate = true,
+        mapping = null,
+        snapshot = true,
+        columnDelimiter,
+        lineEnding,
+        assignmentRuleId,
+        confirmHardDelete = false,
+        pollInterval,
+        maxWait
+    } = options;
+    try {
+        // Operations match case-insensitively; the API wants hardDelete in camel case
+        const ingestOperation = INGEST_OPERATIONS.find(name => name.toLowerCase() === String(operation).toLowerCase());
+        if (!ingestOperation) {
+            throw new Error(`Invalid operation "${operation}". Use one of: ${INGEST_OPERATIONS.join(', ')}.`);
+        }
+        operation = ingestOperation;
+        if (operation === 'hardDelete' && !confirmHardDelete) {
+            throw new Error('hardDelete skips the Recycle Bin and cannot be undone from Salesforce; confirm it with --confirm-hard-delete.');
+        }
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+            throw new Error(`Invalid concurrency "${concurrency}". Expected a positive integer.`);
+        }
+
+        // Test connection
+        await conn.query('SELECT Id FROM Account LIMIT 1').catch(err => {
+            throw new Error(`Connection test failed: ${err.message}`);
         });
-        const maxPollAttempts = 60; // 5 minutes at 5s intervals
-        let pollCount = 0;
-        while (jobStatus.state !== 'JobComplete' && jobStatus.state !== 'Failed' && jobStatus.state !== 'Aborted') {
-            if (pollCount >= maxPollAttempts) {
-                throw new Error('Job status polling timed out after 5 minutes.');
+
+        // Records are uploaded as they are, so the job takes the file's own format; a mapped file is re-written as COMMA/LF
+        const csvFormat = await resolveCsvFormat(csvFilePath, { columnDelimiter, lineEnding });
+        const delimiter = COLUMN_DELIMITERS[csvFormat.columnDelimiter];
+        const uploadFormat = mapping ? { columnDelimiter: 'COMMA', lineEnding: 'LF' } : csvFormat;
+        console.log(chalk.yellow(`CSV format: ${csvFormat.columnDelimiter} delimiter, ${csvFormat.lineEnding} line endings`));
+
+        // Validate object and CSV before any job is created
+        if (validate) {
+            const validation = await validateBulkFile(conn, sObject, operation, externalIdFieldName, csvFilePath, { mapping, delimiter });
+            if (validation.problemCount > 0) {
+                const first = validation.problems.slice(0, 5)
+                    .map(problem => `row ${problem.row}${problem.column ? `, column ${problem.column}` : ''} (${problem.field}): ${problem.message}`)
+                    .join('; ');
+                throw new Error(`CSV validation found ${validation.problemCount} problem(s), see ${validation.reportFile}. ${first}`);
             }
-            await new Promise(resolve => setTimeout(resolve, 5000));
-            jobStatus = await conn.requestGet(`/services/data/v${apiVersion}/jobs/ingest/${jobInfo.id}`).catch(err => {
-                throw new Error(`Error checking job status: ${err.message}`);
+        } else {
+            await conn.describe(sObject).catch(err => {
+                throw new Error(`Invalid or inaccessible object "${sObject}": ${err.message}`);
             });
-            console.log('DEBUG: Job status:', jobStatus.state, 'Records Processed:', jobStatus.numberRecordsProcessed);
-            pollCount++;
         }
-        console.log('DEBUG: Final job status:', jobStatus.state);
-
-        // Process results
-        if (jobStatus.numberRecordsProcessed > 0 || jobStatus.numberRecordsFailed > 0) {
-            console.log('DEBUG: Fetching successful results...');
-            let successfulResults = [];
-            try {
-                const successfulResultsResponse = await axios.get(
-                    `${conn.instanceUrl}/services/data/v${apiVersion}/jobs/ingest/${jobInfo.id}/successfulResults`,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${conn.accessToken}`,
-                            'Content-Type': 'text/csv'
-                        },
-                        responseType: 'text',
-                        timeout: 30000 // 30-second timeout
-                    }
-                );
-                console.log('DEBUG: Successful results response size:', successfulResultsResponse.data.length, 'bytes');
-                console.log('DEBUG: Successful results raw CSV:', successfulResultsResponse.data);
-                if (successfulResultsResponse.data.trim()) {
-                    successfulResults = await new Promise((resolve, reject) => {
-                        const records = [];
-                        const parser = csvParse.parse({ columns: true });
-                        parser
-                            .on('data', record => records.push(record))
-                            .on('end', () => resolve(records))
-                            .on('error', reject)
-                            .write(successfulResultsResponse.data);
-                        parser.end(); // Explicitly close the stream
-                    });
-                } else {
-                    console.log('DEBUG: No successful results data to parse.');
-                }
-            } catch (err) {
-                console.error('DEBUG: Failed to fetch/parse successful results:', err.message);
-            }
-            if (successfulResults.length > 0) {
-                const csvWriter = createObjectCsvWriter({
-                    path: 'bulk_api_successful_results.csv',
-                    header: Object.keys(successfulResults[0]).map(key => ({ id: key, title: key }))
-                });
-                await csvWriter.writeRecords(successfulResults);
-                console.log('DEBUG: Successful results written to bulk_api_successful_results.csv');
-            } else {
-                console.log('DEBUG: No successful results to write.');
-            }
 
-            console.log('DEBUG: Fetching failed results...');
-            let failedResults = [];
-            try {
-                const failedResultsResponse = await axios.get(
-                    `${conn.instanceUrl}/services/data/v${apiVersion}/jobs/ingest/${jobInfo.id}/failedResults`,
-                    {
-                        headers: {
-                            'Authorization': `Bearer ${conn.accessToken}`,
-                            'Content-Type': 'text/csv'
-                        },
-                        responseType: 'text',
-                        timeout: 30000 // 30-second timeout
-                    }
-                );
-                console.log('DEBUG: Failed results response size:', failedResultsResponse.data.length, 'bytes');
-                console.log('DEBUG: Failed results raw CSV:', failedResultsResponse.data);
-                if (failedResultsResponse.data.trim()) {
-                    failedResults = await new Promise((resolve, reject) => {
-                        const records = [];
-                        const parser = csvParse.parse({ columns: true });
-                        parser
-                            .on('data', record => records.push(record))
-                            .on('end', () => resolve(records))
-                            .on('error', reject)
-                            .write(failedResultsResponse.data);
-                        parser.end(); // Explicitly close the stream
-                    });
-                } else {
-                    console.log('DEBUG: No failed results data to parse.');
+        // Updates and deletes keep the current values so the load can be undone with `sfu bulk rollback`
+        let pendingSnapshot = null;
+        if (snapshot && SNAPSHOT_OPERATIONS.includes(operation)) {
+            console.log(chalk.yellow(`Saving a snapshot of the records before ${operation}...`));
+            pendingSnapshot = await takeSnapshot(conn, sObject, operation, csvFilePath, { mapping, delimiter });
+        }
+
+        const writers = {
+            successful: createLazyCsvWriter(successfulResultsFile),
+            failed: createLazyCsvWriter(failedResultsFile)
+        };
+        const jobOptions = { sObject, operation, externalIdFieldName, assignmentRuleId, ...uploadFormat };
+        const createdJobs = [];
+        let jobs;
+        let snapshotDir = null;
+        try {
+            jobs = await runWithConcurrency(
+                chunkCsvFile(csvFilePath, { chunkBytes, chunkRecords, mapping, delimiter, lineEnding: uploadFormat.lineEnding }),
+                concurrency,
+                chunk => runChunkJob(conn, chunk, jobOptions, writers, { wait, pollInterval, maxWait, onJobCreated: job => createdJobs.push(job) })
+            );
+        } finally {
+            await writers.successful.close();
+            await writers.failed.close();
+            // The snapshot is recorded under every job that was created, also when reading the input failed
+            // part way, so the chunks that did run can still be rolled back
+            if (pendingSnapshot) {
+                const jobIds = createdJobs.sort((a, b) => a.chunk - b.chunk).map(job => job.id);
+                snapshotDir = await saveSnapshot(pendingSnapshot, jobIds, { columnDelimiter: uploadFormat.columnDelimiter });
+                if (!jobs && snapshotDir) {
+                    console.error(chalk.yellow(`Snapshot saved to ${snapshotDir}. Undo the jobs that ran with: sfu bulk rollback ${jobIds[0]}`));
                 }
-            } catch (err) {
-                console.error('DEBUG: Failed to fetch/parse failed results:', err.message);
             }
-            if (failedResults.length > 0) {
-                const csvWriter = createObjectCsvWriter({
-                    path: 'bulk_api_failed_results.csv',
-                    header: Object.keys(failedResults[0]).map(key => ({ id: key, title: key }))
-                });
-                await csvWriter.writeRecords(failedResults);
-                console.log('DEBUG: Failed results written to bulk_api_failed_results.csv');
-            } else {
-                console.log('DEBUG: No failed results to write.');
+        }
+        if (jobs.length === 0) {
+            throw new Error('CSV file has no data rows.');
+        }
+        jobs.sort((a, b) => a.chunk - b.chunk);
+
+        // One row per input row with its outcome, plus error counts by code and field
+        let report = null;
+        let errorSummaryFile = null;
+        if (wait && resultsReportFile) {
+            report = await writeResultsReport(csvFilePath, {
+                successfulResultsFile: writers.successful.count > 0 ? successfulResultsFile : null,
+                failedResultsFile: writers.failed.count > 0 ? failedResultsFile : null,
+                reportFile: resultsReportFile,
+                mapping,
+                delimiter
+            });
+            if (report.errorSummary.length > 0) {
+                errorSummaryFile = errorSummaryPath(resultsReportFile);
+                await exportRecords(report.errorSummary, { format: 'csv', out: errorSummaryFile, columns: ERROR_SUMMARY_COLUMNS });
             }
         }
 
-        return jobStatus;
+        // Without waiting, every submitted job is UploadComplete and is picked up later with `sfu bulk jobs`
+        const expectedState = wait ? 'JobComplete' : 'UploadComplete';
+        const incomplete = jobs.find(job => job.state !== expectedState);
+        return {
+            id: jobs.map(job => job.id).filter(Boolean).join(','),
+            state: incomplete ? incomplete.state : expectedState,
+            errorMessage: incomplete ? incomplete.errorMessage : null,
+            numberRecordsProcessed: jobs.reduce((sum, job) => sum + job.numberRecordsProcessed, 0),
+            numberRecordsFailed: jobs.reduce((sum, job) => sum + job.numberRecordsFailed, 0),
+            totalProcessingTime: jobs.reduce((sum, job) => sum + job.totalProcessingTime, 0),
+            jobs,
+            successfulResultsFile: writers.successful.count > 0 ? successfulResultsFile : null,
+            failedResultsFile: writers.failed.count > 0 ? failedResultsFile : null,
+            resultsReportFile: report ? report.reportFile : null,
+            outcomeCounts: report ? report.counts : null,
+            errorSummary: report ? report.errorSummary : [],
+            errorSummaryFile,
+            snapshotDir
+        };
     } catch (error) {
         throw new Error(`Bulk API job failed: ${error.message}`);
     }
 }
 
-module.exports = { runBulkApiJob };
\ No newline at end of file
+module.exports = {
+    INGEST_OPERATIONS,
+    FINAL_STATES,
+    setJobState,
+    streamJobResults,
+    createLazyCsvWriter,
+    validateBulkFile,
+    runBulkApiJob
+};
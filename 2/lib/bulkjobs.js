@@ -0,0 +1,143 @@
+// lib/bulkjobs.js
+// Bulk API 2.0 job management by Id: list, status, abort, delete and result downloads,
+// for jobs started by an earlier `sfu bulk` / `sfu query --bulk` run (or by any other client).
+const path = require('path');
+const { FINAL_STATES, setJobState, streamJobResults, createLazyCsvWriter } = require('./bulk');
+const { downloadQueryJobResults } = require('./bulkquery');
+const { defaultOutputPath } = require('./exporter');
+
+const JOB_TYPES = ['ingest', 'query'];
+const INGEST_RESULT_TYPES = [
+    { resultType: 'successfulResults', suffix: 'successful' },
+    { resultType: 'failedResults', suffix: 'failed' },
+    { resultType: 'unprocessedrecords', suffix: 'unprocessed' }
+];
+
+const JOB_LIST_COLUMNS = [
+    { id: 'id', title: 'Job Id' },
+    { id: 'type', title: 'Type' },
+    { id: 'object', title: 'Object' },
+    { id: 'operation', title: 'Operation' },
+    { id: 'state', title: 'State' },
+    { id: 'createdDate', title: 'Created' },
+    { id: 'createdById', title: 'Created By' }
+];
+
+function isNotFound(error) {
+    return error.errorCode === 'NOT_FOUND' || error.statusCode === 404 || /NOT_FOUND|404/.test(error.message || '');
+}
+
+async function listJobsOfType(conn, type) {
+    let result = await conn.requestGet(`/services/data/v${conn.apiVersion}/jobs/${type}`).catch(err => {
+        throw new Error(`Error listing ${type} jobs: ${err.message}`);
+    });
+    let records = result.records || [];
+    while (!result.done && result.nextRecordsUrl) {
+        result = await conn.requestGet(result.nextRecordsUrl);
+        records = records.concat(result.records || []);
+    }
+    return records.map(job => ({ ...job, type }));
+}
+
+async function listJobs(conn, { type, state, object } = {}) {
+    if (type && !JOB_TYPES.includes(type)) {
+        throw new Error(`Invalid job type "${type}". Use one of: ${JOB_TYPES.join(', ')}.`);
+    }
+    let jobs = [];
+    for (const jobType of type ? [type] : JOB_TYPES) {
+        jobs = jobs.concat(await listJobsOfType(conn, jobType));
+    }
+    return jobs
+        .filter(job => !state || (job.state || '').toLowerCase() === state.toLowerCase())
+        .filter(job => !object || (job.object || '').toLowerCase() === object.toLowerCase())
+        .sort((a, b) => (a.createdDate < b.createdDate ? 1 : a.createdDate > b.createdDate ? -1 : 0));
+}
+
+// A job Id does not say whether it is an ingest or a query job, so try ingest first
+async function getJobStatus(conn, jobId) {
+    for (const type of JOB_TYPES) {
+        try {
+            const job = await conn.requestGet(`/services/data/v${conn.apiVersion}/jobs/${type}/${jobId}`);
+            return { ...job, type };
+        } catch (error) {
+            if (!isNotFound(error)) {
+                throw new Error(`Error retrieving job ${jobId}: ${error.message}`);
+            }
+        }
+    }
+    throw new Error(`Bulk job ${jobId} not found.`);
+}
+
+async function abortJob(conn, jobId) {
+    const job = await getJobStatus(conn, jobId);
+    if (FINAL_STATES.includes(job.state)) {
+        throw new Error(`Job ${jobId} is already ${job.state}.`);
+    }
+    if (job.type === 'ingest') {
+        await setJobState(conn, jobId, 'Aborted');
+    } else {
+        await conn.request({
+            method: 'PATCH',
+            url: `/services/data/v${conn.apiVersion}/jobs/query/${jobId}`,
+            body: JSON.stringify({ state: 'Aborted' }),
+            headers: { 'Content-Type': 'application/json' }
+        }).catch(err => {
+            throw new Error(`Error aborting job ${jobId}: ${err.message}`);
+        });
+    }
+    return getJobStatus(conn, jobId);
+}
+
+// Only finished jobs can be deleted
+async function deleteJob(conn, jobId) {
+    const job = await getJobStatus(conn, jobId);
+    if (!FINAL_STATES.includes(job.state)) {
+        throw new Error(`Job ${jobId} is ${job.state}; abort it or wait for it to finish before deleting.`);
+    }
+    await conn.request({
+        method: 'DELETE',
+        url: `/services/data/v${conn.apiVersion}/jobs/${job.type}/${jobId}`
+    }).catch(err => {
+        throw new Error(`Error deleting job ${jobId}: ${err.message}`);
+    });
+    return job;
+}
+
+// Ingest jobs: successful, failed and unprocessed records as <jobId>_<kind>.csv; query jobs: the result set
+async function downloadJobResults(conn, jobId, { outDir = '.', format = 'csv' } = {}) {
+    const job = await getJobStatus(conn, jobId);
+    if (!FINAL_STATES.includes(job.state)) {
+        throw new Error(`Job ${jobId} is ${job.state}; results are available once it has finished.`);
+    }
+
+    if (job.type === 'query') {
+        if (job.state !== 'JobComplete') {
+            throw new Error(`Query job ${jobId} ended in state ${job.state}: ${job.errorMessage || 'no error message'}`);
+        }
+        const out = defaultOutputPath(path.join(outDir, `${jobId}_results`), format);
+        const { recordCount, outputFile } = await downloadQueryJobResults(conn, jobId, { format, out });
+        return { job, files: [{ kind: 'results', file: outputFile, count: recordCount }] };
+    }
+
+    const files = [];
+    for (const { resultType, suffix } of INGEST_RESULT_TYPES) {
+        const writer = createLazyCsvWriter(path.join(outDir, `${jobId}_${suffix}.csv`));
+        try {
+            await streamJobResults(conn, jobId, resultType, batch => writer.writeRecords(batch), { columnDelimiter: job.columnDelimiter });
+        } finally {
+            await writer.close();
+        }
+        files.push({ kind: suffix, file: writer.count > 0 ? writer.filePath : null, count: writer.count });
+    }
+    return { job, files };
+}
+
+module.exports = {
+    JOB_TYPES,
+    JOB_LIST_COLUMNS,
+    listJobs,
+    getJobStatus,
+    abortJob,
+    deleteJob,
+    downloadJobResults
+};
@@ -0,0 +1,113 @@
+// lib/bulkquery.js
+// Bulk API 2.0 query jobs (/jobs/query) for extracts too large for query/queryMore.
+// Result pages are fetched with Sforce-Locator + maxRecords and streamed into the output writer.
+const chalk = require('chalk');
+const { parse } = require('csv-parse');
+const { sfRequest } = require('./http');
+const { createStreamWriter, defaultOutputPath } = require('./exporter');
+
+const QUERY_OPERATIONS = ['query', 'queryAll'];
+const WRITE_BATCH_SIZE = 2000;
+
+async function createQueryJob(conn, query, operation) {
+    return conn.requestPost(`/services/data/v${conn.apiVersion}/jobs/query`, {
+        operation,
+        query,
+        contentType: 'CSV',
+        columnDelimiter: 'COMMA',
+        lineEnding: 'LF'
+    }).catch(err => {
+        throw new Error(`Error creating query job: ${err.message}`);
+    });
+}
+
+async function waitForQueryJob(conn, jobId, { pollInterval = 5000, maxWait = 30 * 60 * 1000, log = console.log } = {}) {
+    const startTime = Date.now();
+    let jobStatus = await conn.requestGet(`/services/data/v${conn.apiVersion}/jobs/query/${jobId}`);
+    while (jobStatus.state !== 'JobComplete' && jobStatus.state !== 'Failed' && jobStatus.state !== 'Aborted') {
+        if (Date.now() - startTime > maxWait) {
+            throw new Error(`Query job ${jobId} polling timed out after ${Math.round(maxWait / 60000)} minutes.`);
+        }
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        jobStatus = await conn.requestGet(`/services/data/v${conn.apiVersion}/jobs/query/${jobId}`).catch(err => {
+            throw new Error(`Error checking query job status: ${err.message}`);
+        });
+        log(chalk.yellow(`Query job ${jobId}: ${jobStatus.state}, records processed: ${jobStatus.numberRecordsProcessed}`));
+    }
+    if (jobStatus.state !== 'JobComplete') {
+        throw new Error(`Query job ${jobId} ended in state ${jobStatus.state}: ${jobStatus.errorMessage || 'no error message'}`);
+    }
+    return jobStatus;
+}
+
+// Stream one result page (CSV) into the writer; returns the locator of the next page or null
+async function downloadResultPage(conn, jobId, locator, maxRecords, writer, onProgress) {
+    const params = new URLSearchParams({ maxRecords: String(maxRecords) });
+    if (locator) params.set('locator', locator);
+    const response = await sfRequest(conn, {
+        url: `/services/data/v${conn.apiVersion}/jobs/query/${jobId}/results?${params}`,
+        headers: { 'Accept': 'text/csv' },
+        responseType: 'stream',
+        timeout: 300000 // 5-minute timeout
+    });
+
+    let batch = [];
+    const parser = response.data.pipe(parse({ columns: true, bom: true }));
+    for await (const record of parser) {
+        batch.push(record);
+        if (batch.length >= WRITE_BATCH_SIZE) {
+            await writer.writeRecords(batch);
+            batch = [];
+            if (onProgress) onProgress(writer.count);
+        }
+    }
+    await writer.writeRecords(batch);
+    if (onProgress) onProgress(writer.count);
+
+    const nextLocator = response.headers['sforce-locator'];
+    return nextLocator && nextLocator !== 'null' ? nextLocator : null;
+}
+
+// Page through the results of a completed query job into one output
+async function downloadQueryJobResults(conn, jobId, { format = 'csv', out, stdout = false, maxRecords = 50000, onProgress } = {}) {
+    const outputFile = stdout ? null : (out || defaultOutputPath('query_results', format));
+    const writer = createStreamWriter(outputFile, format);
+    try {
+        let locator = null;
+        do {
+            locator = await downloadResultPage(conn, jobId, locator, maxRecords, writer, onProgress);
+        } while (locator);
+    } finally {
+        await writer.close();
+    }
+    return { recordCount: writer.count, outputFile: outputFile || 'stdout' };
+}
+
+// `log` receives status messages; pass console.error when the results go to stdout
+async function runBulkQuery(conn, query, { operation = 'query', format = 'csv', out, stdout = false, maxRecords = 50000, onProgress, pollInterval, log = console.log } = {}) {
+    if (!QUERY_OPERATIONS.includes(operation)) {
+        throw new Error(`Invalid bulk query operation "${operation}". Use one of: ${QUERY_OPERATIONS.join(', ')}.`);
+    }
+
+    const startTime = performance.now();
+    const jobInfo = await createQueryJob(conn, query, operation);
+    log(chalk.yellow(`Bulk query job created: ${jobInfo.id}`));
+    const jobStatus = await waitForQueryJob(conn, jobInfo.id, { pollInterval, log });
+
+    const { recordCount, outputFile } = await downloadQueryJobResults(conn, jobInfo.id, { format, out, stdout, maxRecords, onProgress });
+    const executionTime = (performance.now() - startTime).toFixed(2);
+
+    return {
+        jobId: jobInfo.id,
+        recordCount,
+        totalSize: jobStatus.numberRecordsProcessed,
+        outputFile,
+        executionTime
+    };
+}
+
+module.exports = {
+    QUERY_OPERATIONS,
+    downloadQueryJobResults,
+    runBulkQuery
+};
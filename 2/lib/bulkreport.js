@@ -0,0 +1,161 @@
+// lib/bulkreport.js
+// Joins the input CSV with the merged successful and failed results into one row per input row, in input order.
+// Bulk API 2.0 results carry no row number, but each result row echoes the values that were uploaded, so rows
+// are matched on those values. Identical input rows are matched in order, which makes their outcomes interchangeable.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parse } = require('csv-parse');
+const { createStreamWriter } = require('./exporter');
+const { readSourceRecords } = require('./mapping');
+
+const RESULTS_REPORT_FILE = 'bulk_api_results.csv';
+const REPORT_COLUMNS = ['Line', 'Status', 'sf__Id', 'sf__Created', 'sf__Error', 'ErrorCode', 'ErrorFields'];
+const ERROR_SUMMARY_COLUMNS = [
+    { id: 'errorCode', title: 'ErrorCode' },
+    { id: 'field', title: 'Field' },
+    { id: 'count', title: 'Count' },
+    { id: 'example', title: 'Example' }
+];
+
+// "REQUIRED_FIELD_MISSING:Required fields are missing: [LastName]:LastName --" -> REQUIRED_FIELD_MISSING
+function getErrorCode(error) {
+    const match = /^([A-Z_]+)(?::|$)/.exec(String(error || '').trim());
+    return match ? match[1] : String(error || '').trim();
+}
+
+// Errors read CODE:message:Field1,Field2 -- where the field list may be empty
+function parseBulkError(error) {
+    const text = String(error || '').trim();
+    const code = getErrorCode(text);
+    const rest = text.slice(code.length).replace(/^:/, '');
+    const match = /:([\w.,\s]*?)\s*--\s*$/.exec(rest);
+    const fields = match ? match[1].split(',').map(field => field.trim()).filter(Boolean) : [];
+    const message = (match ? rest.slice(0, match.index) : rest.replace(/\s*--\s*$/, '')).trim();
+    return { code, message, fields };
+}
+
+function rowKey(values) {
+    return crypto.createHash('sha1').update(JSON.stringify(values)).digest('base64');
+}
+
+// Yields { line, values } for each data row as it was uploaded (mapped when there is a mapping);
+// `line` is the line of the input file the row starts on, blank rows are skipped like the chunker does
+async function* readUploadedRows(csvFilePath, mapping, delimiter, onHeader) {
+    let headerSeen = false;
+    for await (const { line, values } of readSourceRecords(csvFilePath, mapping, { delimiter })) {
+        if (!headerSeen) {
+            headerSeen = true;
+            onHeader(values);
+            continue;
+        }
+        if (values.length === 1 && values[0].trim() === '') continue;
+        yield { line, values };
+    }
+}
+
+// Result rows start with sf__ columns, followed by the uploaded columns in upload order
+async function matchResults(filePath, status, linesByKey, outcomes) {
+    if (!filePath || !fs.existsSync(filePath)) return;
+    const parser = fs.createReadStream(filePath).pipe(parse({ bom: true, relax_column_count: true }));
+    let header = null;
+    for await (const values of parser) {
+        if (!header) {
+            header = values;
+            continue;
+        }
+        const result = {};
+        const uploaded = [];
+        header.forEach((name, index) => {
+            if (name.startsWith('sf__')) {
+                result[name] = values[index] || '';
+            } else {
+                uploaded.push(values[index] === undefined ? '' : values[index]);
+            }
+        });
+        const lines = linesByKey.get(rowKey(uploaded));
+        const line = lines && lines.shift();
+        if (line !== undefined) {
+            outcomes.set(line, { status, ...result });
+        }
+    }
+}
+
+function summarizeErrors(counts) {
+    return Array.from(counts.values()).sort((a, b) => b.count - a.count || a.errorCode.localeCompare(b.errorCode));
+}
+
+// Writes the joined report and returns { reportFile, rowCount, counts, errorSummary }
+async function writeResultsReport(csvFilePath, { successfulResultsFile, failedResultsFile, reportFile = RESULTS_REPORT_FILE, mapping = null, delimiter = ',' } = {}) {
+    let headers = null;
+    const linesByKey = new Map();
+    for await (const { line, values } of readUploadedRows(csvFilePath, mapping, delimiter, header => { headers = header; })) {
+        const key = rowKey(values);
+        if (!linesByKey.has(key)) linesByKey.set(key, []);
+        linesByKey.get(key).push(line);
+    }
+
+    const outcomes = new Map();
+    await matchResults(successfulResultsFile, 'Success', linesByKey, outcomes);
+    await matchResults(failedResultsFile, 'Failed', linesByKey, outcomes);
+    linesByKey.clear();
+
+    // Input columns that collide with report columns are prefixed so nothing is overwritten
+    const inputColumns = (headers || []).map((name, index) => ({
+        id: `input_${index}`,
+        title: REPORT_COLUMNS.includes(name) ? `Input_${name}` : name
+    }));
+    const writer = createStreamWriter(reportFile, 'csv', [...REPORT_COLUMNS.map(name => ({ id: name, title: name })), ...inputColumns]);
+    const counts = { Success: 0, Failed: 0, 'Not processed': 0 };
+    const errorCounts = new Map();
+    try {
+        let batch = [];
+        for await (const { line, values } of readUploadedRows(csvFilePath, mapping, delimiter, () => {})) {
+            const outcome = outcomes.get(line) || { status: 'Not processed' };
+            const error = outcome.sf__Error ? parseBulkError(outcome.sf__Error) : null;
+            counts[outcome.status]++;
+            if (error) {
+                (error.fields.length > 0 ? error.fields : ['']).forEach(field => {
+                    const key = `${error.code}\u0000${field}`;
+                    if (!errorCounts.has(key)) errorCounts.set(key, { errorCode: error.code, field, count: 0, example: error.message });
+                    errorCounts.get(key).count++;
+                });
+            }
+            const row = {
+                Line: line,
+                Status: outcome.status,
+                sf__Id: outcome.sf__Id || '',
+                sf__Created: outcome.sf__Created || '',
+                sf__Error: outcome.sf__Error || '',
+                ErrorCode: error ? error.code : '',
+                ErrorFields: error ? error.fields.join(',') : ''
+            };
+            inputColumns.forEach((column, index) => { row[column.id] = values[index] === undefined ? '' : values[index]; });
+            batch.push(row);
+            if (batch.length >= 2000) {
+                await writer.writeRecords(batch);
+                batch = [];
+            }
+        }
+        await writer.writeRecords(batch);
+    } finally {
+        await writer.close();
+    }
+    return { reportFile, rowCount: writer.count, counts, errorSummary: summarizeErrors(errorCounts) };
+}
+
+// bulk_api_results.csv -> bulk_api_results_summary.csv
+function errorSummaryPath(reportFile) {
+    const ext = path.extname(reportFile);
+    return `${reportFile.slice(0, reportFile.length - ext.length)}_summary${ext || '.csv'}`;
+}
+
+module.exports = {
+    RESULTS_REPORT_FILE,
+    ERROR_SUMMARY_COLUMNS,
+    getErrorCode,
+    parseBulkError,
+    rowKey,
+    writeResultsReport,
+    errorSummaryPath
+};
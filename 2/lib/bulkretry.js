@@ -0,0 +1,169 @@
+// lib/bulkretry.js
+// Resubmits the failed rows of a bulk job (or of a failed results CSV) in rounds with exponential backoff.
+// sf__ columns are stripped before each round; rows that never succeed end up in a final report.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { parse } = require('csv-parse');
+const { runBulkApiJob, streamJobResults } = require('./bulk');
+const { getJobStatus } = require('./bulkjobs');
+const { formatRecords } = require('./exporter');
+const { getErrorCode } = require('./bulkreport');
+
+const RETRY_REPORT_FILE = 'bulk_retry_report.csv';
+const RETRY_SUCCESSFUL_FILE = 'bulk_retry_successful_results.csv';
+
+function stripResultColumns(row) {
+    const stripped = {};
+    Object.keys(row).forEach(key => {
+        if (!key.startsWith('sf__')) stripped[key] = row[key];
+    });
+    return stripped;
+}
+
+async function readCsvRows(filePath) {
+    const rows = [];
+    const parser = fs.createReadStream(filePath).pipe(parse({ columns: true, bom: true }));
+    for await (const record of parser) {
+        rows.push(record);
+    }
+    return rows;
+}
+
+// Rows of a round that came back in neither results file; processed rows are matched by their column values
+function unprocessedRows(rows, processed, columns) {
+    const rowKey = row => JSON.stringify(columns.map(column => row[column] === undefined ? '' : row[column]));
+    const processedCounts = new Map();
+    processed.forEach(row => {
+        const key = rowKey(row);
+        processedCounts.set(key, (processedCounts.get(key) || 0) + 1);
+    });
+    return rows.filter(row => {
+        const key = rowKey(row);
+        const count = processedCounts.get(key) || 0;
+        if (count === 0) return true;
+        processedCounts.set(key, count - 1);
+        return false;
+    });
+}
+
+// Failed rows plus the job settings needed to resubmit them
+async function loadFailedRows(conn, source, jobOptions = {}) {
+    if (fs.existsSync(source)) {
+        const missing = ['sObject', 'operation'].filter(name => !jobOptions[name]);
+        if (missing.length > 0) {
+            throw new Error('Retrying from a file needs --sobject and --operation (and --external-id for upsert).');
+        }
+        return { rows: await readCsvRows(source), jobOptions };
+    }
+
+    const job = await getJobStatus(conn, source);
+    if (job.type !== 'ingest') {
+        throw new Error(`Job ${source} is a query job; only ingest jobs can be retried.`);
+    }
+    const rows = [];
+    await streamJobResults(conn, source, 'failedResults', batch => { rows.push(...batch); }, { columnDelimiter: job.columnDelimiter });
+    return {
+        rows,
+        jobOptions: {
+            sObject: jobOptions.sObject || job.object,
+            operation: jobOptions.operation || job.operation,
+            externalIdFieldName: jobOptions.externalIdFieldName || job.externalIdFieldName
+        }
+    };
+}
+
+async function retryFailedRecords(conn, source, options = {}) {
+    const {
+        errorCodes = [],
+        rounds = 3,
+        backoffMs = 5000,
+        reportFile = RETRY_REPORT_FILE,
+        successfulResultsFile = RETRY_SUCCESSFUL_FILE,
+        bulkOptions = {}
+    } = options;
+    if (!Number.isInteger(rounds) || rounds < 1) {
+        throw new Error(`Invalid rounds "${rounds}". Expected a positive integer.`);
+    }
+
+    const { rows, jobOptions } = await loadFailedRows(conn, source, options.jobOptions);
+    const isRetryable = row => errorCodes.length === 0 || errorCodes.includes(getErrorCode(row.sf__Error));
+    let pending = rows.filter(isRetryable);
+    const skipped = rows.filter(row => !isRetryable(row)).map(row => ({ ...row, sf__Rounds: 0 }));
+    console.log(chalk.yellow(`${rows.length} failed row(s), ${pending.length} to retry${errorCodes.length ? ` (${errorCodes.join(', ')})` : ''}.`));
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sfu-retry-'));
+    const successful = [];
+    const abandoned = [];
+    const roundSummaries = [];
+    try {
+        for (let round = 1; round <= rounds && pending.length > 0; round++) {
+            const delay = backoffMs * 2 ** (round - 1);
+            console.log(chalk.yellow(`Round ${round}/${rounds}: retrying ${pending.length} row(s) in ${Math.round(delay / 1000)}s...`));
+            await new Promise(resolve => setTimeout(resolve, delay));
+
+            const records = pending.map(stripResultColumns);
+            const dataFile = path.join(workDir, `round_${round}.csv`);
+            await fs.promises.writeFile(dataFile, await formatRecords(records, 'csv', { columns: Object.keys(records[0]) }));
+
+            const roundSuccessFile = path.join(workDir, `round_${round}_successful.csv`);
+            const roundFailedFile = path.join(workDir, `round_${round}_failed.csv`);
+            const result = await runBulkApiJob(conn, jobOptions.sObject, jobOptions.operation.toLowerCase(), jobOptions.externalIdFieldName, dataFile, {
+                ...bulkOptions,
+                successfulResultsFile: roundSuccessFile,
+                failedResultsFile: roundFailedFile,
+                resultsReportFile: null
+            });
+            const succeeded = result.successfulResultsFile ? await readCsvRows(roundSuccessFile) : [];
+            const failed = result.failedResultsFile ? await readCsvRows(roundFailedFile) : [];
+            successful.push(...succeeded);
+            roundSummaries.push({ round, jobIds: result.id, state: result.state, submitted: records.length, succeeded: succeeded.length, failed: failed.length });
+
+            // A job that did not complete is not retried blindly: rows it may have written would be loaded twice
+            if (result.state !== 'JobComplete') {
+                const reason = `JOB_${String(result.state).toUpperCase()}:${result.errorMessage || 'job did not complete'}`;
+                const unprocessed = unprocessedRows(pending, [...succeeded, ...failed], Object.keys(records[0]));
+                const unresolved = [...failed, ...unprocessed.map(row => ({ ...row, sf__Error: reason }))];
+                unresolved.forEach(row => abandoned.push({ ...row, sf__Rounds: round }));
+                pending = [];
+                break;
+            }
+
+            // Rows that now fail for a reason outside the filter are not retried again
+            failed.filter(row => !isRetryable(row)).forEach(row => abandoned.push({ ...row, sf__Rounds: round }));
+            pending = failed.filter(isRetryable).map(row => ({ ...row, sf__Rounds: round }));
+        }
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+
+    const neverSucceeded = [...skipped, ...abandoned, ...pending];
+    if (successful.length > 0) {
+        await fs.promises.writeFile(successfulResultsFile, await formatRecords(successful, 'csv'));
+    }
+    if (neverSucceeded.length > 0) {
+        await fs.promises.writeFile(reportFile, await formatRecords(neverSucceeded, 'csv'));
+    }
+    return {
+        jobOptions,
+        total: rows.length,
+        retried: rows.length - skipped.length,
+        succeeded: successful.length,
+        failed: neverSucceeded.length,
+        rounds: roundSummaries,
+        errorCounts: neverSucceeded.reduce((counts, row) => {
+            const code = getErrorCode(row.sf__Error);
+            counts[code] = (counts[code] || 0) + 1;
+            return counts;
+        }, {}),
+        successfulResultsFile: successful.length > 0 ? successfulResultsFile : null,
+        reportFile: neverSucceeded.length > 0 ? reportFile : null
+    };
+}
+
+module.exports = {
+    stripResultColumns,
+    unprocessedRows,
+    retryFailedRecords
+};
@@ -0,0 +1,108 @@
+// lib/bulkrollback.js
+// Undoes an update, delete or hardDelete from its snapshot (see bulksnapshot.js). Only records the job actually changed are
+// restored: updated records get their saved values back, deleted records are inserted again with their createable
+// fields. Re-inserted records get new Ids, and children removed by a cascade delete are not brought back.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chalk = require('chalk');
+const { parse } = require('csv-parse');
+const { runBulkApiJob, streamJobResults } = require('./bulk');
+const { createStreamWriter } = require('./exporter');
+const { NULL_VALUE, findSnapshot, markRolledBack } = require('./bulksnapshot');
+
+const ROLLBACK_SUCCESSFUL_FILE = 'bulk_rollback_successful_results.csv';
+const ROLLBACK_FAILED_FILE = 'bulk_rollback_failed_results.csv';
+const ROLLBACK_REPORT_FILE = 'bulk_rollback_results.csv';
+
+// Ids the snapshot's jobs processed successfully; null when the results are no longer available
+async function getChangedIds(conn, jobIds, columnDelimiter) {
+    const ids = new Set();
+    for (const jobId of jobIds) {
+        try {
+            await streamJobResults(conn, jobId, 'successfulResults', batch => {
+                batch.forEach(row => ids.add(row.sf__Id));
+            }, { columnDelimiter });
+        } catch (error) {
+            console.warn(chalk.yellow(`Results of job ${jobId} are not available (${error.message}); restoring every record in the snapshot.`));
+            return null;
+        }
+    }
+    return ids;
+}
+
+async function writeRestoreFile(snapshot, restoreFile, columns, changedIds, forInsert) {
+    const writer = createStreamWriter(restoreFile, 'csv', columns.map(name => ({ id: name, title: name })));
+    try {
+        const parser = fs.createReadStream(snapshot.file).pipe(parse({ columns: true, bom: true }));
+        let batch = [];
+        for await (const record of parser) {
+            if (changedIds && !changedIds.has(record.Id)) continue;
+            const row = {};
+            // On insert a blank cell is already null
+            columns.forEach(name => { row[name] = forInsert && record[name] === NULL_VALUE ? '' : record[name]; });
+            batch.push(row);
+            if (batch.length >= 2000) {
+                await writer.writeRecords(batch);
+                batch = [];
+            }
+        }
+        await writer.writeRecords(batch);
+    } finally {
+        await writer.close();
+    }
+    return writer.count;
+}
+
+async function rollbackBulkJob(conn, jobId, options = {}) {
+    const {
+        successfulResultsFile = ROLLBACK_SUCCESSFUL_FILE,
+        failedResultsFile = ROLLBACK_FAILED_FILE,
+        resultsReportFile = ROLLBACK_REPORT_FILE,
+        bulkOptions = {}
+    } = options;
+    const snapshot = await findSnapshot(jobId);
+    const forInsert = snapshot.operation !== 'update';
+    let columns = ['Id', ...snapshot.fields];
+    if (forInsert) {
+        const describe = await conn.describe(snapshot.sObject).catch(err => {
+            throw new Error(`Invalid or inaccessible object "${snapshot.sObject}": ${err.message}`);
+        });
+        const createable = new Set(describe.fields.filter(field => field.createable).map(field => field.name));
+        columns = snapshot.fields.filter(name => createable.has(name));
+    }
+
+    const changedIds = await getChangedIds(conn, snapshot.jobIds, snapshot.columnDelimiter);
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sfu-rollback-'));
+    try {
+        const restoreFile = path.join(workDir, 'restore.csv');
+        const recordCount = await writeRestoreFile(snapshot, restoreFile, columns, changedIds, forInsert);
+        const operation = forInsert ? 'insert' : 'update';
+        if (recordCount === 0) {
+            return { snapshot, operation, recordCount, result: null };
+        }
+
+        console.log(chalk.yellow(`Restoring ${recordCount} ${snapshot.sObject} record(s) with ${operation}...`));
+        const result = await runBulkApiJob(conn, snapshot.sObject, operation, null, restoreFile, {
+            ...bulkOptions,
+            snapshot: false,
+            successfulResultsFile,
+            failedResultsFile,
+            resultsReportFile
+        });
+        await markRolledBack(snapshot, {
+            jobIds: result.id,
+            state: result.state,
+            numberRecordsProcessed: result.numberRecordsProcessed,
+            numberRecordsFailed: result.numberRecordsFailed
+        });
+        return { snapshot, operation, recordCount, result };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    writeRestoreFile,
+    rollbackBulkJob
+};
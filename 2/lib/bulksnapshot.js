@@ -0,0 +1,215 @@
+// lib/bulksnapshot.js
+// Before an update, delete or hardDelete, the records named in the CSV are saved under ~/.sfu/backups/<jobId>:
+// for update the fields the CSV sets, for delete every field. bulkrollback.js restores from these snapshots.
+const fs = require('fs');
+const path = require('path');
+const { getSfuHome } = require('./orgs');
+const { soql, literal } = require('./soqlbuilder');
+const { createStreamWriter } = require('./exporter');
+const { readSourceRows } = require('./mapping');
+const { createFieldResolver } = require('./bulkvalidate');
+
+const SNAPSHOT_OPERATIONS = ['update', 'delete', 'hardDelete'];
+const SNAPSHOT_FILE = 'snapshot.csv';
+const SNAPSHOT_META_FILE = 'snapshot.json';
+const NULL_VALUE = '#N/A'; // a blank cell leaves a field unchanged in Bulk API 2.0; #N/A clears it
+const ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+const ID_BATCH_SIZE = 500;
+// Queries go out as GET ?q=<soql> and Salesforce rejects URIs over about 16 KB, so batches are sized by encoded length
+const MAX_QUERY_LENGTH = 12000;
+const SKIPPED_FIELD_TYPES = ['base64', 'address', 'location'];
+
+function getBackupRoot() {
+    return path.join(getSfuHome(), 'backups');
+}
+
+// update: the updateable fields the CSV sets (a Relationship.ExternalId column saves the lookup field itself);
+// delete and hardDelete: every field that can be queried as a plain value
+function snapshotFields(describe, operation, headers) {
+    if (operation !== 'update') {
+        return describe.fields
+            .filter(field => field.name !== 'Id' && !SKIPPED_FIELD_TYPES.includes(field.type))
+            .map(field => field.name);
+    }
+    const resolveColumn = createFieldResolver(describe);
+    const names = new Set();
+    headers.forEach(header => {
+        const { field } = resolveColumn(header);
+        if (field && field.name !== 'Id' && field.updateable) names.add(field.name);
+    });
+    return Array.from(names);
+}
+
+function encodedLength(text) {
+    return encodeURIComponent(text).length;
+}
+
+// Split the fields so that each SELECT takes at most half of the query length; the rest is left for Ids.
+// A wide object (delete saves every field) is read with several queries per batch of Ids.
+function groupFields(sObject, fields) {
+    const baseLength = encodedLength(`SELECT Id,  FROM ${sObject} WHERE Id IN ()`);
+    const groups = [];
+    let group = [];
+    let length = baseLength;
+    fields.forEach(name => {
+        const fieldLength = encodedLength(`${name}, `);
+        if (group.length > 0 && length + fieldLength > MAX_QUERY_LENGTH / 2) {
+            groups.push({ fields: group, length });
+            group = [];
+            length = baseLength;
+        }
+        group.push(name);
+        length += fieldLength;
+    });
+    if (group.length > 0) groups.push({ fields: group, length });
+    return groups;
+}
+
+async function queryAll(conn, query) {
+    let result = await conn.query(query);
+    let records = result.records || [];
+    while (!result.done && result.nextRecordsUrl) {
+        result = await conn.queryMore(result.nextRecordsUrl);
+        records = records.concat(result.records || []);
+    }
+    return records;
+}
+
+async function fetchRecords(conn, sObject, fieldGroups, ids, writer) {
+    const rows = new Map();
+    for (const group of fieldGroups) {
+        const records = await queryAll(conn, soql`SELECT Id, ${literal(group.fields.join(', '))} FROM ${literal(sObject)} WHERE Id IN ${ids}`);
+        records.forEach(record => {
+            if (!rows.has(record.Id)) rows.set(record.Id, { Id: record.Id });
+            const row = rows.get(record.Id);
+            group.fields.forEach(name => { row[name] = record[name] === null || record[name] === undefined ? NULL_VALUE : record[name]; });
+        });
+    }
+    await writer.writeRecords(Array.from(rows.values()));
+}
+
+// Save the current values to a pending snapshot; returns null when there is nothing to save
+async function takeSnapshot(conn, sObject, operation, csvFilePath, { mapping = null, delimiter = ',' } = {}) {
+    const describe = await conn.describe(sObject).catch(err => {
+        throw new Error(`Invalid or inaccessible object "${sObject}": ${err.message}`);
+    });
+    await fs.promises.mkdir(getBackupRoot(), { recursive: true, mode: 0o700 });
+    const dir = await fs.promises.mkdtemp(path.join(getBackupRoot(), 'pending-'));
+
+    let fields = null;
+    let fieldGroups = null;
+    let idBudget = 0;
+    let idIndex = -1;
+    let writer = null;
+    let ids = [];
+    let idsLength = 0;
+    try {
+        for await (const values of readSourceRows(csvFilePath, mapping, { delimiter })) {
+            if (!fields) {
+                fields = snapshotFields(describe, operation, values);
+                idIndex = values.findIndex(header => header.trim().toLowerCase() === 'id');
+                if (idIndex < 0 || fields.length === 0) break;
+                fieldGroups = groupFields(sObject, fields);
+                idBudget = MAX_QUERY_LENGTH - Math.max(...fieldGroups.map(group => group.length));
+                writer = createStreamWriter(path.join(dir, SNAPSHOT_FILE), 'csv', ['Id', ...fields].map(name => ({ id: name, title: name })));
+                continue;
+            }
+            const id = (values[idIndex] || '').trim();
+            if (!ID_PATTERN.test(id)) continue;
+            const idLength = encodedLength(`'${id}', `);
+            if (ids.length >= ID_BATCH_SIZE || (ids.length > 0 && idsLength + idLength > idBudget)) {
+                await fetchRecords(conn, sObject, fieldGroups, ids, writer);
+                ids = [];
+                idsLength = 0;
+            }
+            ids.push(id);
+            idsLength += idLength;
+        }
+        if (writer && ids.length > 0) {
+            await fetchRecords(conn, sObject, fieldGroups, ids, writer);
+        }
+    } catch (error) {
+        if (writer) await writer.close();
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        throw new Error(`Error saving snapshot: ${error.message}`);
+    }
+    if (writer) await writer.close();
+    if (!writer || writer.count === 0) {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        return null;
+    }
+    return { dir, sObject, operation, fields, recordCount: writer.count };
+}
+
+// Move a pending snapshot under the first job Id and record every job it covers; the delimiter is needed
+// to read the jobs' results at rollback
+async function saveSnapshot(snapshot, jobIds, { columnDelimiter = 'COMMA' } = {}) {
+    if (jobIds.length === 0) {
+        await fs.promises.rm(snapshot.dir, { recursive: true, force: true });
+        return null;
+    }
+    const dir = path.join(getBackupRoot(), jobIds[0]);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    await fs.promises.rename(snapshot.dir, dir);
+    const meta = {
+        sObject: snapshot.sObject,
+        operation: snapshot.operation,
+        fields: snapshot.fields,
+        recordCount: snapshot.recordCount,
+        jobIds,
+        columnDelimiter,
+        createdAt: new Date().toISOString()
+    };
+    await fs.promises.writeFile(path.join(dir, SNAPSHOT_META_FILE), JSON.stringify(meta, null, 2), { mode: 0o600 });
+    return dir;
+}
+
+async function readSnapshotMeta(dir) {
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(dir, SNAPSHOT_META_FILE), 'utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// A snapshot is found by any of the job Ids it covers (a chunked load has several)
+async function findSnapshot(jobId) {
+    // The job Id becomes a path under the backup root, so anything but an Id (e.g. ../) is refused
+    if (!ID_PATTERN.test(String(jobId))) {
+        throw new Error(`Invalid job Id "${jobId}". Expected a 15 or 18 character Salesforce Id.`);
+    }
+    const root = getBackupRoot();
+    let dir = path.join(root, jobId);
+    let meta = await readSnapshotMeta(dir);
+    if (!meta) {
+        const entries = await fs.promises.readdir(root).catch(() => []);
+        for (const entry of entries) {
+            const candidate = await readSnapshotMeta(path.join(root, entry));
+            if (candidate && (candidate.jobIds || []).includes(jobId)) {
+                dir = path.join(root, entry);
+                meta = candidate;
+                break;
+            }
+        }
+    }
+    if (!meta) {
+        throw new Error(`No snapshot found for job ${jobId} in ${root}.`);
+    }
+    return { ...meta, dir, file: path.join(dir, SNAPSHOT_FILE) };
+}
+
+async function markRolledBack(snapshot, details) {
+    const meta = await readSnapshotMeta(snapshot.dir);
+    const rollbacks = (meta.rollbacks || []).concat({ ...details, at: new Date().toISOString() });
+    await fs.promises.writeFile(path.join(snapshot.dir, SNAPSHOT_META_FILE), JSON.stringify({ ...meta, rollbacks }, null, 2), { mode: 0o600 });
+}
+
+module.exports = {
+    SNAPSHOT_OPERATIONS,
+    NULL_VALUE,
+    getBackupRoot,
+    takeSnapshot,
+    saveSnapshot,
+    findSnapshot,
+    markRolledBack
+};
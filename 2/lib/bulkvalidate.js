@@ -0,0 +1,202 @@
+// lib/bulkvalidate.js
+// Pre-flight check of a bulk CSV against the object describe, so bad files fail before any job is created.
+// Header problems (unknown, read-only, missing required or key columns) are reported on the header row, line 1;
+// value problems carry the file line of the row and the 1-based column number. Problems that belong to
+// no single column (a missing column, a wrong number of values) have an empty column.
+const { readSourceRecords } = require('./mapping');
+
+const VALIDATION_COLUMNS = [
+    { id: 'row', title: 'Row' },
+    { id: 'column', title: 'Column' },
+    { id: 'field', title: 'Field' },
+    { id: 'value', title: 'Value' },
+    { id: 'message', title: 'Problem' }
+];
+
+const NULL_VALUE = '#N/A';
+const ID_PATTERN = /^[a-zA-Z0-9]{15}(?:[a-zA-Z0-9]{3})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d{1,3})?)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+const NUMBER_PATTERN = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const BOOLEAN_PATTERN = /^(?:true|false|1|0|yes|no)$/i;
+const LENGTH_TYPES = ['string', 'textarea', 'email', 'phone', 'url', 'picklist', 'multipicklist', 'combobox', 'encryptedstring'];
+
+function isValidDate(value) {
+    const date = new Date(`${value.slice(0, 10)}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value.slice(0, 10);
+}
+
+function isValidDateTime(value) {
+    const match = DATETIME_PATTERN.exec(value);
+    return Boolean(match) && isValidDate(value) &&
+        Number(match[1]) <= 23 && Number(match[2]) <= 59 && Number(match[3] || 0) <= 59;
+}
+
+// Resolves a header to a field: a plain field name, or Relationship.ExternalIdField for lookups by external Id
+function createFieldResolver(describe) {
+    const fieldsByName = new Map(describe.fields.map(field => [field.name.toLowerCase(), field]));
+    const fieldsByRelationship = new Map(describe.fields
+        .filter(field => field.relationshipName)
+        .map(field => [field.relationshipName.toLowerCase(), field]));
+    return header => {
+        const name = header.trim().toLowerCase();
+        if (fieldsByName.has(name)) {
+            return { field: fieldsByName.get(name) };
+        }
+        const dot = name.indexOf('.');
+        if (dot > 0) {
+            // Polymorphic lookups are written Owner:User.Username
+            const relationship = name.slice(0, dot).split(':')[0];
+            if (fieldsByRelationship.has(relationship)) {
+                return { field: fieldsByRelationship.get(relationship), relationship: true };
+            }
+        }
+        return { field: null };
+    };
+}
+
+function checkHeader(headers, describe, operation, externalIdFieldName, row = 1) {
+    const problems = [];
+    const fieldsByName = new Map(describe.fields.map(field => [field.name.toLowerCase(), field]));
+    const resolveColumn = createFieldResolver(describe);
+    const headerProblem = (column, field, message) => problems.push({ row, column, field, value: '', message });
+
+    const columns = headers.map((header, index) => {
+        const resolved = resolveColumn(header);
+        const column = { index, header, ...resolved };
+        if (!resolved.field) {
+            headerProblem(index + 1, header, `Unknown field on ${describe.name}.`);
+            return column;
+        }
+        const field = resolved.field;
+        if (field.name === 'Id' || operation === 'delete' || operation === 'harddelete') {
+            return column;
+        }
+        if (operation === 'insert' && !field.createable) {
+            headerProblem(index + 1, header, 'Field is not createable.');
+        } else if (operation === 'update' && !field.updateable) {
+            headerProblem(index + 1, header, 'Field is not updateable.');
+        } else if (operation === 'upsert' && !field.createable && !field.updateable &&
+            field.name.toLowerCase() !== String(externalIdFieldName || '').toLowerCase()) {
+            headerProblem(index + 1, header, 'Field is neither createable nor updateable.');
+        }
+        return column;
+    });
+
+    const hasColumn = name => columns.some(column => column.field && !column.relationship && column.field.name.toLowerCase() === name.toLowerCase());
+    if (['update', 'delete', 'harddelete'].includes(operation) && !hasColumn('Id')) {
+        headerProblem('', 'Id', `An Id column is required for ${operation}.`);
+    }
+    if (operation === 'upsert') {
+        const externalIdField = externalIdFieldName && fieldsByName.get(externalIdFieldName.toLowerCase());
+        if (!externalIdField) {
+            headerProblem('', externalIdFieldName || '', `External Id field "${externalIdFieldName}" does not exist on ${describe.name}.`);
+        } else {
+            if (!externalIdField.externalId && !externalIdField.idLookup) {
+                headerProblem('', externalIdField.name, 'Field is not an External Id field.');
+            }
+            if (!hasColumn(externalIdField.name)) {
+                headerProblem('', externalIdField.name, 'The external Id column is missing from the CSV.');
+            }
+        }
+    }
+    if (operation === 'insert') {
+        describe.fields
+            .filter(field => field.createable && !field.nillable && !field.defaultedOnCreate && field.type !== 'boolean')
+            .filter(field => !columns.some(column => column.field === field))
+            .forEach(field => headerProblem('', field.name, 'Required field is missing from the CSV.'));
+    }
+    return { columns, problems };
+}
+
+function checkValue(field, value, operation) {
+    if (value === '' || value === NULL_VALUE) {
+        if (field.name === 'Id' && operation !== 'insert' && operation !== 'upsert') {
+            return `Id is required for ${operation}.`;
+        }
+        if (operation === 'insert' && field.createable && !field.nillable && !field.defaultedOnCreate && field.type !== 'boolean') {
+            return 'Required field has no value.';
+        }
+        return null;
+    }
+    switch (field.type) {
+        case 'id':
+        case 'reference':
+            return ID_PATTERN.test(value) ? null : 'Not a valid 15 or 18 character Id.';
+        case 'date':
+            return DATE_PATTERN.test(value) && isValidDate(value) ? null : 'Not a valid date (YYYY-MM-DD).';
+        case 'datetime':
+            return isValidDateTime(value) ? null : 'Not a valid datetime (YYYY-MM-DDThh:mm:ssZ).';
+        case 'int':
+            return INTEGER_PATTERN.test(value) ? null : 'Not a valid integer.';
+        case 'double':
+        case 'currency':
+        case 'percent':
+            return NUMBER_PATTERN.test(value) ? null : 'Not a valid number.';
+        case 'boolean':
+            return BOOLEAN_PATTERN.test(value) ? null : 'Not a valid boolean (true or false).';
+        default:
+            break;
+    }
+    if (LENGTH_TYPES.includes(field.type) && field.length > 0 && value.length > field.length) {
+        return `Value is ${value.length} characters; the maximum is ${field.length}.`;
+    }
+    if (field.restrictedPicklist && (field.type === 'picklist' || field.type === 'multipicklist')) {
+        const allowed = new Set((field.picklistValues || []).filter(entry => entry.active).map(entry => entry.value));
+        const invalid = (field.type === 'multipicklist' ? value.split(';') : [value]).filter(item => !allowed.has(item));
+        if (invalid.length > 0) {
+            return `Not an allowed value of the restricted picklist: ${invalid.join(', ')}.`;
+        }
+    }
+    return null;
+}
+
+// Returns { rowCount, problemCount, problems, truncated }; only the first maxProblems are kept.
+// With a mapping the mapped rows are checked, i.e. exactly what would be uploaded.
+async function validateBulkCsv(describe, csvFilePath, { operation, externalIdFieldName, mapping = null, delimiter = ',', maxProblems = 1000 } = {}) {
+    const op = String(operation || '').toLowerCase();
+    const problems = [];
+    let problemCount = 0;
+    const addProblem = problem => {
+        problemCount++;
+        if (problems.length < maxProblems) problems.push(problem);
+    };
+
+    let columns = null;
+    let rowCount = 0;
+    // `row` is the line of the file the record starts on, the same number as the Line column of the results report
+    for await (const { line: row, values } of readSourceRecords(csvFilePath, mapping, { delimiter })) {
+        if (!columns) {
+            const header = checkHeader(values, describe, op, externalIdFieldName, row);
+            columns = header.columns;
+            header.problems.forEach(addProblem);
+            continue;
+        }
+        if (values.length === 1 && values[0] === '') continue;
+        rowCount++;
+        if (values.length !== columns.length) {
+            addProblem({ row, column: '', field: '', value: '', message: `Row has ${values.length} values; the header has ${columns.length} columns.` });
+        }
+        // Only Id matters for deletes; relationship columns hold the parent's external Id, not a value of this field
+        columns.forEach(column => {
+            if (!column.field || column.relationship) return;
+            if ((op === 'delete' || op === 'harddelete') && column.field.name !== 'Id') return;
+            const value = values[column.index] === undefined ? '' : values[column.index];
+            const message = checkValue(column.field, value, op);
+            if (message) {
+                addProblem({ row, column: column.index + 1, field: column.header, value, message });
+            }
+        });
+    }
+    if (!columns) {
+        throw new Error('CSV file is empty.');
+    }
+    return { rowCount, problemCount, problems, truncated: problemCount > problems.length };
+}
+
+module.exports = {
+    VALIDATION_COLUMNS,
+    createFieldResolver,
+    validateBulkCsv
+};
@@ -0,0 +1,142 @@
+// lib/csvchunker.js
+// Streams a CSV file and cuts it into upload-sized chunks at record boundaries. A newline inside a
+// quoted field is part of the record, so multi-line values are never split. Each chunk repeats the header.
+// Records are passed through unchanged, so the job must be created with the file's delimiter and line ending.
+const fs = require('fs');
+const { openCsvSource } = require('./mapping');
+
+const DEFAULT_CHUNK_BYTES = 100 * 1024 * 1024; // Bulk API 2.0 rejects uploads over 150MB
+// Bulk API 2.0 columnDelimiter values
+const COLUMN_DELIMITERS = { COMMA: ',', SEMICOLON: ';', TAB: '\t', PIPE: '|', CARET: '^', BACKQUOTE: '`' };
+const LINE_ENDINGS = ['LF', 'CRLF'];
+
+// Yields raw CSV records (including their line ending) from a text stream
+async function* readCsvRecords(stream, eol = '\n') {
+    let record = '';
+    let inQuotes = false;
+    for await (const text of stream) {
+        let start = 0;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '"') {
+                inQuotes = !inQuotes; // an escaped "" toggles twice
+            } else if (char === '\n' && !inQuotes) {
+                record += text.slice(start, i + 1);
+                start = i + 1;
+                yield record;
+                record = '';
+            }
+        }
+        record += text.slice(start);
+    }
+    if (inQuotes) {
+        throw new Error('CSV ends inside a quoted field (unbalanced double quote).');
+    }
+    if (record.length > 0) {
+        yield record.endsWith('\n') ? record : `${record}${eol}`;
+    }
+}
+
+// Accepts a columnDelimiter name (semicolon) or the character itself (;)
+function normalizeDelimiter(value) {
+    const text = String(value);
+    const name = text.trim().toUpperCase();
+    if (COLUMN_DELIMITERS[name]) return name;
+    const byChar = Object.keys(COLUMN_DELIMITERS).find(key => COLUMN_DELIMITERS[key] === (text === '\\t' ? '\t' : text));
+    if (byChar) return byChar;
+    throw new Error(`Invalid delimiter "${value}". Use one of: ${Object.keys(COLUMN_DELIMITERS).join(', ')}.`);
+}
+
+// The header decides: CRLF if it ends with \r\n, and the candidate delimiter it contains most often outside quotes
+async function detectCsvFormat(filePath) {
+    const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+    let header = '';
+    try {
+        for await (const record of readCsvRecords(stream)) {
+            header = record.replace(/^\uFEFF/, '');
+            break;
+        }
+    } finally {
+        stream.destroy();
+    }
+    const counts = {};
+    let inQuotes = false;
+    for (const char of header) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (!inQuotes) counts[char] = (counts[char] || 0) + 1;
+    }
+    const columnDelimiter = Object.keys(COLUMN_DELIMITERS)
+        .reduce((best, name) => ((counts[COLUMN_DELIMITERS[name]] || 0) > (counts[COLUMN_DELIMITERS[best]] || 0) ? name : best), 'COMMA');
+    return { columnDelimiter, lineEnding: header.endsWith('\r\n') ? 'CRLF' : 'LF' };
+}
+
+// Detected format with explicit overrides applied
+async function resolveCsvFormat(filePath, { columnDelimiter, lineEnding } = {}) {
+    const format = await detectCsvFormat(filePath);
+    if (columnDelimiter) {
+        format.columnDelimiter = normalizeDelimiter(columnDelimiter);
+    }
+    if (lineEnding) {
+        format.lineEnding = String(lineEnding).toUpperCase();
+        if (!LINE_ENDINGS.includes(format.lineEnding)) {
+            throw new Error(`Invalid line ending "${lineEnding}". Use one of: ${LINE_ENDINGS.join(', ')}.`);
+        }
+    }
+    return format;
+}
+
+function isBlankRecord(record) {
+    return record.trim() === '';
+}
+
+// Yields { index, content, recordCount, bytes }; chunkBytes includes the repeated header.
+// With a mapping (see mapping.js) the chunks hold the mapped columns instead of the file's own.
+async function* chunkCsvFile(filePath, { chunkBytes = DEFAULT_CHUNK_BYTES, chunkRecords = Infinity, mapping = null, delimiter = ',', lineEnding = 'LF' } = {}) {
+    const stream = openCsvSource(filePath, mapping, { delimiter });
+    let header = null;
+    let headerBytes = 0;
+    let parts = [];
+    let bytes = 0;
+    let index = 0;
+
+    const flush = () => {
+        const chunk = { index: index++, content: header + parts.join(''), recordCount: parts.length, bytes };
+        parts = [];
+        bytes = headerBytes;
+        return chunk;
+    };
+
+    for await (const record of readCsvRecords(stream, lineEnding === 'CRLF' ? '\r\n' : '\n')) {
+        if (header === null) {
+            header = record.replace(/^\uFEFF/, '');
+            headerBytes = Buffer.byteLength(header);
+            bytes = headerBytes;
+            continue;
+        }
+        if (isBlankRecord(record)) continue;
+        const recordBytes = Buffer.byteLength(record);
+        if (headerBytes + recordBytes > chunkBytes) {
+            throw new Error(`A single CSV record (${recordBytes} bytes) exceeds the chunk size of ${chunkBytes} bytes.`);
+        }
+        if (parts.length > 0 && (bytes + recordBytes > chunkBytes || parts.length >= chunkRecords)) {
+            yield flush();
+        }
+        parts.push(record);
+        bytes += recordBytes;
+    }
+    if (header === null) {
+        throw new Error('CSV file is empty.');
+    }
+    if (parts.length > 0) {
+        yield flush();
+    }
+}
+
+module.exports = {
+    DEFAULT_CHUNK_BYTES,
+    COLUMN_DELIMITERS,
+    LINE_ENDINGS,
+    resolveCsvFormat,
+    readCsvRecords,
+    chunkCsvFile
+};
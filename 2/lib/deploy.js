@@ -0,0 +1,263 @@
+// lib/deploy.js
+// Metadata API deploy from a package.xml and a Metadata API format source directory
+// (the layout `sfu track --retrieve` writes). Also quick-deploys an already validated deployment.
+const fs = require('fs').promises;
+const path = require('path');
+const chalk = require('chalk');
+const JSZip = require('jszip');
+const { parsePackageXml } = require('./manifest');
+
+const TEST_LEVELS = ['NoTestRun', 'RunSpecifiedTests', 'RunLocalTests', 'RunAllTestsInOrg'];
+
+// Directory and file suffix per metadata type; bundles are whole directories, a null suffix matches any extension
+const METADATA_TYPES = {
+    ApexClass: { dir: 'classes', suffix: 'cls' },
+    ApexComponent: { dir: 'components', suffix: 'component' },
+    ApexPage: { dir: 'pages', suffix: 'page' },
+    ApexTrigger: { dir: 'triggers', suffix: 'trigger' },
+    ApprovalProcess: { dir: 'approvalProcesses', suffix: 'approvalProcess' },
+    AssignmentRules: { dir: 'assignmentRules', suffix: 'assignmentRules' },
+    AuraDefinitionBundle: { dir: 'aura', bundle: true },
+    ContentAsset: { dir: 'contentassets', suffix: 'asset' },
+    CustomApplication: { dir: 'applications', suffix: 'app' },
+    CustomLabels: { dir: 'labels', suffix: 'labels' },
+    CustomMetadata: { dir: 'customMetadata', suffix: 'md' },
+    CustomObject: { dir: 'objects', suffix: 'object' },
+    CustomPermission: { dir: 'customPermissions', suffix: 'customPermission' },
+    CustomTab: { dir: 'tabs', suffix: 'tab' },
+    Dashboard: { dir: 'dashboards', suffix: 'dashboard' },
+    Document: { dir: 'documents', suffix: null },
+    DuplicateRule: { dir: 'duplicateRules', suffix: 'duplicateRule' },
+    EmailTemplate: { dir: 'email', suffix: 'email' },
+    FlexiPage: { dir: 'flexipages', suffix: 'flexipage' },
+    Flow: { dir: 'flows', suffix: 'flow' },
+    GlobalValueSet: { dir: 'globalValueSets', suffix: 'globalValueSet' },
+    Group: { dir: 'groups', suffix: 'group' },
+    Layout: { dir: 'layouts', suffix: 'layout' },
+    LightningComponentBundle: { dir: 'lwc', bundle: true },
+    LightningMessageChannel: { dir: 'messageChannels', suffix: 'messageChannel' },
+    MatchingRules: { dir: 'matchingRules', suffix: 'matchingRule' },
+    NamedCredential: { dir: 'namedCredentials', suffix: 'namedCredential' },
+    PathAssistant: { dir: 'pathAssistants', suffix: 'pathAssistant' },
+    PermissionSet: { dir: 'permissionsets', suffix: 'permissionset' },
+    PermissionSetGroup: { dir: 'permissionsetgroups', suffix: 'permissionsetgroup' },
+    Profile: { dir: 'profiles', suffix: 'profile' },
+    QuickAction: { dir: 'quickActions', suffix: 'quickAction' },
+    Queue: { dir: 'queues', suffix: 'queue' },
+    RemoteSiteSetting: { dir: 'remoteSiteSettings', suffix: 'remoteSite' },
+    Report: { dir: 'reports', suffix: 'report' },
+    ReportType: { dir: 'reportTypes', suffix: 'reportType' },
+    Role: { dir: 'roles', suffix: 'role' },
+    SharingRules: { dir: 'sharingRules', suffix: 'sharingRules' },
+    StandardValueSet: { dir: 'standardValueSets', suffix: 'standardValueSet' },
+    StaticResource: { dir: 'staticresources', suffix: 'resource' },
+    Workflow: { dir: 'workflows', suffix: 'workflow' }
+};
+
+// Child types live inside their parent's file: CustomField Account.Rating__c -> objects/Account.object
+const CHILD_TYPES = {
+    BusinessProcess: 'CustomObject',
+    CompactLayout: 'CustomObject',
+    CustomField: 'CustomObject',
+    FieldSet: 'CustomObject',
+    Index: 'CustomObject',
+    ListView: 'CustomObject',
+    RecordType: 'CustomObject',
+    SharingReason: 'CustomObject',
+    ValidationRule: 'CustomObject',
+    WebLink: 'CustomObject',
+    CustomLabel: 'CustomLabels',
+    WorkflowAlert: 'Workflow',
+    WorkflowFieldUpdate: 'Workflow',
+    WorkflowRule: 'Workflow'
+};
+
+function isDone(result) {
+    return result.done === true || result.done === 'true';
+}
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+async function listFiles(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(err => {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    });
+    const files = [];
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...(await listFiles(fullPath)));
+        } else {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+function memberMatches(relativePath, member, typeInfo) {
+    const name = relativePath.replace(/-meta\.xml$/, '');
+    if (typeInfo.bundle) return name.startsWith(`${member}/`);
+    if (typeInfo.suffix) return name === `${member}.${typeInfo.suffix}`;
+    return name === member || name.startsWith(`${member}.`);
+}
+
+// Resolve every manifest member to files under sourceDir; returns zip paths plus members with no files
+async function collectSourceFiles(manifest, sourceDir) {
+    const filesByDir = new Map();
+    const filesFor = async dir => {
+        if (!filesByDir.has(dir)) {
+            const files = await listFiles(path.join(sourceDir, dir));
+            filesByDir.set(dir, files.map(file => path.relative(path.join(sourceDir, dir), file).split(path.sep).join('/')));
+        }
+        return filesByDir.get(dir);
+    };
+
+    const selected = new Set();
+    const missing = [];
+    for (const type of manifest.types) {
+        const parentType = CHILD_TYPES[type.name];
+        const typeInfo = METADATA_TYPES[parentType || type.name];
+        if (!typeInfo) {
+            type.members.forEach(member => missing.push({ type: type.name, member, reason: 'unknown metadata type' }));
+            continue;
+        }
+        const files = await filesFor(typeInfo.dir);
+        for (const member of type.members) {
+            let fileMember = member;
+            if (parentType === 'CustomLabels') fileMember = 'CustomLabels';
+            else if (parentType) fileMember = member.split('.')[0];
+            const matched = member === '*' ? files : files.filter(file => memberMatches(file, fileMember, typeInfo));
+            if (matched.length === 0) {
+                missing.push({ type: type.name, member, reason: 'no source file' });
+            }
+            matched.forEach(file => selected.add(`${typeInfo.dir}/${file}`));
+        }
+    }
+    return { files: Array.from(selected).sort(), missing };
+}
+
+async function buildDeployZip(packageXml, sourceDir, files) {
+    const zip = new JSZip();
+    zip.file('package.xml', packageXml);
+    for (const file of files) {
+        zip.file(file, await fs.readFile(path.join(sourceDir, file)));
+    }
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+async function waitForDeploy(conn, deployId, { pollInterval = 5000, maxWait = 60 * 60 * 1000 } = {}) {
+    const startTime = Date.now();
+    while (true) {
+        const result = await conn.metadata.checkDeployStatus(deployId, true).catch(err => {
+            throw new Error(`Error checking deploy status: ${err.message}`);
+        });
+        let progress = `components ${result.numberComponentsDeployed || 0}/${result.numberComponentsTotal || 0}`;
+        if (Number(result.numberTestsTotal) > 0) {
+            progress += `, tests ${result.numberTestsCompleted || 0}/${result.numberTestsTotal}`;
+        }
+        console.log(chalk.yellow(`Deploy ${deployId}: ${result.status}${result.stateDetail ? ` (${result.stateDetail})` : ''}, ${progress}`));
+        if (isDone(result)) {
+            return result;
+        }
+        if (Date.now() - startTime > maxWait) {
+            throw new Error(`Deploy ${deployId} polling timed out after ${Math.round(maxWait / 60000)} minutes.`);
+        }
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+}
+
+// Flatten a DeployResult into rows for printing
+function summarizeDeployResult(result) {
+    const details = result.details || {};
+    const runTestResult = details.runTestResult || {};
+    return {
+        id: result.id,
+        status: result.status,
+        success: result.success === true || result.success === 'true',
+        checkOnly: result.checkOnly === true || result.checkOnly === 'true',
+        errorMessage: result.errorMessage || null,
+        componentFailures: asArray(details.componentFailures).map(failure => ({
+            type: failure.componentType || '',
+            name: failure.fullName,
+            file: failure.fileName,
+            line: failure.lineNumber ? `${failure.lineNumber}:${failure.columnNumber || 0}` : '',
+            problem: failure.problem
+        })),
+        testFailures: asArray(runTestResult.failures).map(failure => ({
+            className: failure.name,
+            methodName: failure.methodName,
+            message: failure.message,
+            stackTrace: failure.stackTrace
+        })),
+        coverageWarnings: asArray(runTestResult.codeCoverageWarnings).map(warning => ({
+            name: warning.name || '',
+            message: warning.message
+        }))
+    };
+}
+
+function buildDeployOptions({ checkOnly = false, testLevel, runTests = [] }) {
+    const level = testLevel || (runTests.length > 0 ? 'RunSpecifiedTests' : undefined);
+    if (level && !TEST_LEVELS.includes(level)) {
+        throw new Error(`Invalid test level "${testLevel}". Use one of: ${TEST_LEVELS.join(', ')}.`);
+    }
+    if (level === 'RunSpecifiedTests' && runTests.length === 0) {
+        throw new Error('RunSpecifiedTests requires at least one test class (--run-tests).');
+    }
+    if (runTests.length > 0 && level !== 'RunSpecifiedTests') {
+        throw new Error('--run-tests can only be used with the RunSpecifiedTests test level.');
+    }
+    const options = { checkOnly, rollbackOnError: true, singlePackage: true };
+    if (level) options.testLevel = level;
+    if (runTests.length > 0) options.runTests = runTests;
+    return options;
+}
+
+async function deployMetadata(conn, { manifestFile, sourceDir, checkOnly, testLevel, runTests, pollInterval, maxWait }) {
+    const deployOptions = buildDeployOptions({ checkOnly, testLevel, runTests });
+    const packageXml = await fs.readFile(manifestFile, 'utf8');
+    const manifest = parsePackageXml(packageXml);
+    if (manifest.types.length === 0) {
+        throw new Error(`${manifestFile} has no types to deploy.`);
+    }
+
+    const { files, missing } = await collectSourceFiles(manifest, sourceDir);
+    missing.forEach(item => {
+        console.log(chalk.yellow(`Warning: ${item.type} ${item.member}: ${item.reason} in ${sourceDir}`));
+    });
+    if (files.length === 0) {
+        throw new Error(`No source files in ${sourceDir} match ${manifestFile}.`);
+    }
+    console.log(chalk.yellow(`Deploying ${files.length} file(s) from ${sourceDir}${checkOnly ? ' (validation only)' : ''}`));
+
+    const zipBuffer = await buildDeployZip(packageXml, sourceDir, files);
+    // metadata.deploy returns a locator that is thenable but has no catch()
+    let asyncResult;
+    try {
+        asyncResult = await conn.metadata.deploy(zipBuffer, deployOptions);
+    } catch (err) {
+        throw new Error(`Error starting deploy: ${err.message}`);
+    }
+    console.log(chalk.yellow(`Deploy started: ${asyncResult.id}`));
+    const result = await waitForDeploy(conn, asyncResult.id, { pollInterval, maxWait });
+    return { ...summarizeDeployResult(result), files, missing };
+}
+
+async function quickDeploy(conn, validationId, { pollInterval, maxWait } = {}) {
+    const deployId = await conn.metadata.deployRecentValidation({ id: validationId }).catch(err => {
+        throw new Error(`Error starting quick deploy of ${validationId}: ${err.message}`);
+    });
+    console.log(chalk.yellow(`Quick deploy started: ${deployId}`));
+    const result = await waitForDeploy(conn, deployId, { pollInterval, maxWait });
+    return { ...summarizeDeployResult(result), files: [], missing: [] };
+}
+
+module.exports = {
+    TEST_LEVELS,
+    deployMetadata,
+    quickDeploy
+};
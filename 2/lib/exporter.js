@@ -0,0 +1,299 @@
+// lib/exporter.js
+// Single place where result records are turned into files: query, rest and track all export through here
+// so column ordering and escaping are the same for every command.
+const fs = require('fs');
+const JSZip = require('jszip');
+const { createObjectCsvStringifier } = require('csv-writer');
+
+const FORMATS = ['csv', 'json', 'jsonl', 'xlsx', 'markdown', 'html', 'table'];
+const STREAM_FORMATS = ['csv', 'jsonl', 'json'];
+const EXTENSIONS = { csv: 'csv', json: 'json', jsonl: 'jsonl', xlsx: 'xlsx', markdown: 'md', html: 'html', table: 'txt' };
+
+function getExtension(format) {
+    return EXTENSIONS[format] || format;
+}
+
+function defaultOutputPath(baseName, format) {
+    return `${baseName}.${getExtension(format)}`;
+}
+
+// Columns are { id, title }; when not given they are the union of record keys in first-seen order
+function resolveColumns(records, columns) {
+    if (columns) {
+        return columns.map(column => (typeof column === 'string' ? { id: column, title: column } : column));
+    }
+    const seen = new Set();
+    records.forEach(record => {
+        Object.keys(record).forEach(key => {
+            if (key !== 'attributes') seen.add(key);
+        });
+    });
+    return Array.from(seen).map(key => ({ id: key, title: key }));
+}
+
+// Tabular formats get one scalar per cell; nested values become JSON
+function cellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function orderRecord(record, columns) {
+    const ordered = {};
+    columns.forEach(column => {
+        ordered[column.id] = record[column.id] === undefined ? null : record[column.id];
+    });
+    return ordered;
+}
+
+function toCsv(records, columns) {
+    const stringifier = createObjectCsvStringifier({ header: columns });
+    const rows = records.map(record => {
+        const row = {};
+        columns.forEach(column => { row[column.id] = cellValue(record[column.id]); });
+        return row;
+    });
+    return stringifier.getHeaderString() + stringifier.stringifyRecords(rows);
+}
+
+function escapeMarkdown(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function toMarkdown(records, columns) {
+    const lines = [
+        `| ${columns.map(column => escapeMarkdown(column.title)).join(' | ')} |`,
+        `| ${columns.map(() => '---').join(' | ')} |`
+    ];
+    records.forEach(record => {
+        lines.push(`| ${columns.map(column => escapeMarkdown(cellValue(record[column.id]))).join(' | ')} |`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function toHtml(records, columns, title = 'Results') {
+    const head = columns.map(column => `<th>${escapeHtml(column.title)}</th>`).join('');
+    const body = records
+        .map(record => `    <tr>${columns.map(column => `<td>${escapeHtml(cellValue(record[column.id]))}</td>`).join('')}</tr>`)
+        .join('\n');
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '<style>table{border-collapse:collapse;font-family:sans-serif;font-size:13px}th,td{border:1px solid #ccc;padding:4px 8px;text-align:left}th{background:#f3f3f3}</style>',
+        '</head>',
+        '<body>',
+        '<table>',
+        `  <thead><tr>${head}</tr></thead>`,
+        '  <tbody>',
+        body,
+        '  </tbody>',
+        '</table>',
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+// Plain-text table for terminals; long cells are truncated so rows stay on one line
+function toTable(records, columns, maxWidth = 50) {
+    const clip = text => {
+        const single = text.replace(/\r?\n/g, ' ');
+        return single.length > maxWidth ? `${single.slice(0, maxWidth - 3)}...` : single;
+    };
+    const cells = records.map(record => columns.map(column => clip(cellValue(record[column.id]))));
+    const titles = columns.map(column => clip(column.title));
+    const widths = titles.map((title, index) => Math.max(title.length, ...cells.map(row => row[index].length)));
+    const line = row => `| ${row.map((cell, index) => cell.padEnd(widths[index])).join(' | ')} |`;
+    const separator = `+-${widths.map(width => '-'.repeat(width)).join('-+-')}-+`;
+    return [separator, line(titles), separator, ...cells.map(line), separator].join('\n') + '\n';
+}
+
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function escapeXml(text) {
+    return escapeHtml(text).replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// Minimal single-sheet workbook (inline strings, numbers and booleans kept as typed cells)
+async function toXlsx(records, columns, sheetName = 'Results') {
+    const xlsxCell = (value, ref) => {
+        if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+        if (typeof value === 'boolean') return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cellValue(value))}</t></is></c>`;
+    };
+    const rows = [columns.map(column => column.title)].concat(records.map(record => columns.map(column => record[column.id])));
+    const sheetRows = rows.map((row, rowIndex) =>
+        `<row r="${rowIndex + 1}">${row.map((value, colIndex) => xlsxCell(value, `${columnName(colIndex)}${rowIndex + 1}`)).join('')}</row>`
+    ).join('');
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>');
+    zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>');
+    zip.file('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(sheetName.replace(/[\\/?*[\]:]/g, '_').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>');
+    zip.file('xl/_rels/workbook.xml.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>');
+    zip.file('xl/worksheets/sheet1.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${sheetRows}</sheetData>` +
+        '</worksheet>');
+    return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+async function formatRecords(records, format, { columns, title } = {}) {
+    const resolved = resolveColumns(records, columns);
+    switch (format) {
+        case 'csv':
+            return toCsv(records, resolved);
+        case 'json':
+            return JSON.stringify(records.map(record => orderRecord(record, resolved)), null, 2) + '\n';
+        case 'jsonl':
+            return records.map(record => JSON.stringify(orderRecord(record, resolved))).join('\n') + (records.length ? '\n' : '');
+        case 'xlsx':
+            return toXlsx(records, resolved, title);
+        case 'markdown':
+            return toMarkdown(records, resolved);
+        case 'html':
+            return toHtml(records, resolved, title);
+        case 'table':
+            return toTable(records, resolved);
+        default:
+            throw new Error(`Unsupported format "${format}". Use one of: ${FORMATS.join(', ')}.`);
+    }
+}
+
+// Write records to `out` (or stdout); returns the destination for the caller to report.
+// A non-array value (e.g. a describe response) is written as-is for json, as a single row otherwise.
+async function exportRecords(records, { format = 'csv', out, stdout = false, columns, title } = {}) {
+    const content = Array.isArray(records)
+        ? await formatRecords(records, format, { columns, title })
+        : format === 'json'
+            ? JSON.stringify(records, null, 2) + '\n'
+            : await formatRecords([records], format, { columns, title });
+    if (stdout) {
+        await new Promise((resolve, reject) => process.stdout.write(content, err => (err ? reject(err) : resolve())));
+        return 'stdout';
+    }
+    await fs.promises.writeFile(out, content);
+    return out;
+}
+
+// Incremental record writer: pages are appended as they arrive so memory stays flat.
+// CSV headers are taken from the first page unless passed in explicitly. A null filePath writes to stdout.
+function createStreamWriter(filePath, format = 'csv', headers = null) {
+    if (!STREAM_FORMATS.includes(format)) {
+        throw new Error(`Unsupported stream format "${format}". Use one of: ${STREAM_FORMATS.join(', ')}.`);
+    }
+
+    const stream = filePath ? fs.createWriteStream(filePath, { encoding: 'utf8' }) : process.stdout;
+    let streamError = null;
+    stream.on('error', err => { streamError = err; });
+
+    let stringifier = null;
+    let count = 0;
+
+    // Resolves on `event`, or rejects if the stream errors first (an error means `event` never comes)
+    const waitFor = event => new Promise((resolve, reject) => {
+        const onEvent = () => {
+            stream.removeListener('error', onError);
+            resolve();
+        };
+        const onError = err => {
+            stream.removeListener(event, onEvent);
+            reject(err);
+        };
+        stream.once(event, onEvent);
+        stream.once('error', onError);
+    });
+
+    const write = async chunk => {
+        if (streamError) throw streamError;
+        if (!stream.write(chunk)) {
+            await waitFor('drain');
+        }
+    };
+
+    async function writeRecords(records) {
+        if (!records || records.length === 0) return;
+        let chunk = '';
+        if (format === 'csv') {
+            if (!stringifier) {
+                const columns = headers || Object.keys(records[0]).map(key => ({ id: key, title: key }));
+                stringifier = createObjectCsvStringifier({ header: columns });
+                chunk += stringifier.getHeaderString();
+            }
+            chunk += stringifier.stringifyRecords(records.map(record => {
+                const row = {};
+                Object.keys(record).forEach(key => { row[key] = cellValue(record[key]); });
+                return row;
+            }));
+        } else if (format === 'jsonl') {
+            chunk = records.map(record => JSON.stringify(record)).join('\n') + '\n';
+        } else {
+            chunk = records.map((record, index) => `${count + index === 0 ? '[\n' : ',\n'}${JSON.stringify(record)}`).join('');
+        }
+        count += records.length;
+        await write(chunk);
+    }
+
+    async function close() {
+        if (format === 'json') {
+            await write(count === 0 ? '[]\n' : '\n]\n');
+        }
+        if (!filePath) return;
+        if (streamError) throw streamError;
+        const finished = waitFor('finish');
+        stream.end();
+        await finished;
+    }
+
+    return {
+        filePath: filePath || 'stdout',
+        format,
+        writeRecords,
+        close,
+        get count() {
+            return count;
+        }
+    };
+}
+
+module.exports = {
+    FORMATS,
+    STREAM_FORMATS,
+    defaultOutputPath,
+    formatRecords,
+    exportRecords,
+    createStreamWriter
+};
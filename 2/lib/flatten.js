@@ -0,0 +1,226 @@
+// lib/flatten.js
+// Flattens SOQL records into dot-notation columns (Owner.Profile.Name) ordered like the SELECT clause.
+// Child subquery results (SELECT Id FROM Contacts) are handled per childMode:
+//   json    - one cell holding the child records as a JSON array
+//   explode - one row per child record, parent columns repeated
+//   files   - child rows returned separately, keyed by relationship and linked by ParentId
+
+const CHILD_MODES = ['json', 'explode', 'files'];
+const FIELD_FUNCTIONS = ['tolabel', 'format', 'convertcurrency'];
+
+// Split on a separator at parenthesis depth 0, ignoring quoted strings
+function splitTopLevel(text, separator = ',') {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\'' && text[i - 1] !== '\\') quoted = !quoted;
+        if (!quoted) {
+            if (char === '(') depth++;
+            if (char === ')') depth--;
+            if (char === separator && depth === 0) {
+                parts.push(current.trim());
+                current = '';
+                continue;
+            }
+        }
+        current += char;
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+// Index of a keyword at parenthesis depth 0, outside quoted strings
+function findTopLevelKeyword(text, keyword, fromIndex = 0) {
+    const pattern = new RegExp(`^${keyword}\\b`, 'i');
+    let depth = 0;
+    let quoted = false;
+    for (let i = fromIndex; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\'' && text[i - 1] !== '\\') quoted = !quoted;
+        if (quoted) continue;
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (depth === 0 && /\s/.test(text[i - 1] || ' ') && pattern.test(text.slice(i))) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Parse the SELECT list into ordered field descriptors; returns null when the query can't be parsed
+function parseSelectFields(query) {
+    const text = query.trim();
+    const selectMatch = /^SELECT\s/i.exec(text);
+    if (!selectMatch) return null;
+    const fromIndex = findTopLevelKeyword(text, 'FROM', selectMatch[0].length);
+    if (fromIndex === -1) return null;
+
+    let exprIndex = 0;
+    return splitTopLevel(text.slice(selectMatch[0].length, fromIndex)).map(item => {
+        if (item.startsWith('(')) {
+            const inner = item.replace(/^\(/, '').replace(/\)$/, '').trim();
+            const innerFrom = findTopLevelKeyword(inner, 'FROM');
+            const relationship = innerFrom === -1 ? null : inner.slice(innerFrom + 4).trim().split(/\s+/)[0];
+            return { type: 'subquery', name: relationship, fields: parseSelectFields(inner) || [] };
+        }
+        if (/^TYPEOF\s/i.test(item)) {
+            return { type: 'dynamic', name: item.split(/\s+/)[1] };
+        }
+        const functionMatch = /^(\w+)\s*\(([^)]*)\)\s*(\w+)?$/.exec(item);
+        if (functionMatch) {
+            const [, fn, arg, alias] = functionMatch;
+            if (alias) return { type: 'field', name: alias };
+            if (FIELD_FUNCTIONS.includes(fn.toLowerCase())) return { type: 'field', name: arg.trim() };
+            return { type: 'field', name: `expr${exprIndex++}` };
+        }
+        const tokens = item.split(/\s+/);
+        return { type: 'field', name: tokens[tokens.length - 1] };
+    });
+}
+
+function isChildResult(value) {
+    return value && typeof value === 'object' && Array.isArray(value.records) && 'totalSize' in value;
+}
+
+// Flatten one record to { 'Account.Owner.Name': value }; child results are collected separately
+function flattenObject(record, prefix = '', out = {}, children = {}) {
+    Object.keys(record).forEach(key => {
+        if (key === 'attributes') return;
+        const value = record[key];
+        const path = prefix + key;
+        if (isChildResult(value)) {
+            children[path] = value.records;
+        } else if (value && typeof value === 'object' && value.attributes) {
+            flattenObject(value, `${path}.`, out, children);
+        } else if (value && typeof value === 'object') {
+            out[path] = JSON.stringify(value); // compound fields such as addresses and geolocations
+        } else {
+            out[path] = value;
+        }
+    });
+    return { values: out, children };
+}
+
+function getRecordId(record) {
+    if (record.Id) return record.Id;
+    const url = record.attributes && record.attributes.url;
+    return url ? url.split('/').pop() : null;
+}
+
+// Look up a flattened value by column path, ignoring case differences between the query and the response
+function pick(values, lowerKeys, column) {
+    const key = lowerKeys.get(column.toLowerCase());
+    return key === undefined ? null : values[key];
+}
+
+function createRecordFlattener(query, { childMode = 'json' } = {}) {
+    if (!CHILD_MODES.includes(childMode)) {
+        throw new Error(`Invalid child mode "${childMode}". Use one of: ${CHILD_MODES.join(', ')}.`);
+    }
+    const fields = parseSelectFields(query);
+    const subqueries = (fields || []).filter(field => field.type === 'subquery' && field.name);
+    const subqueryNames = new Set(subqueries.map(subquery => subquery.name.toLowerCase()));
+    let columns = null;
+
+    function childColumns(subquery) {
+        return subquery.fields.filter(field => field.type !== 'subquery').map(field => field.name);
+    }
+
+    // Resolve columns from the SELECT list; dynamic (TYPEOF) or unparsable parts fall back to the first record's keys
+    function resolveColumns(sampleValues, sampleChildren) {
+        const sampleKeys = Object.keys(sampleValues);
+        if (!fields) {
+            return sampleKeys.concat(childMode === 'json' ? Object.keys(sampleChildren) : []);
+        }
+        const ordered = [];
+        fields.forEach(field => {
+            if (field.type === 'field') {
+                ordered.push(field.name);
+            } else if (field.type === 'dynamic') {
+                sampleKeys
+                    .filter(key => key.toLowerCase().startsWith(`${field.name.toLowerCase()}.`))
+                    .forEach(key => ordered.push(key));
+            } else if (childMode === 'json') {
+                ordered.push(field.name);
+            } else if (childMode === 'explode') {
+                childColumns(field).forEach(name => ordered.push(`${field.name}.${name}`));
+            }
+        });
+        return ordered;
+    }
+
+    function flatten(record) {
+        const { values, children } = flattenObject(record);
+        if (!columns) {
+            columns = resolveColumns(values, children);
+        }
+
+        const lowerKeys = new Map(Object.keys(values).map(key => [key.toLowerCase(), key]));
+        const childByName = new Map(Object.keys(children).map(key => [key.toLowerCase(), key]));
+        const childRecords = name => {
+            const key = childByName.get(name.toLowerCase());
+            return key === undefined ? [] : children[key];
+        };
+
+        const row = {};
+        columns.forEach(column => {
+            const lowerColumn = column.toLowerCase();
+            if (childMode === 'json' && (subqueryNames.has(lowerColumn) || childByName.has(lowerColumn))) {
+                row[column] = JSON.stringify(childRecords(column).map(child => flattenObject(child).values));
+            } else {
+                row[column] = pick(values, lowerKeys, column);
+            }
+        });
+
+        const result = { rows: [row], children: {} };
+        if (childMode === 'explode') {
+            const exploded = [];
+            subqueries.forEach(subquery => {
+                childRecords(subquery.name).forEach(child => {
+                    const childValues = flattenObject(child).values;
+                    const childLower = new Map(Object.keys(childValues).map(key => [key.toLowerCase(), key]));
+                    const childRow = { ...row };
+                    childColumns(subquery).forEach(name => {
+                        childRow[`${subquery.name}.${name}`] = pick(childValues, childLower, name);
+                    });
+                    exploded.push(childRow);
+                });
+            });
+            if (exploded.length > 0) result.rows = exploded;
+        } else if (childMode === 'files') {
+            const parentId = getRecordId(record);
+            subqueries.forEach(subquery => {
+                result.children[subquery.name] = childRecords(subquery.name).map(child => {
+                    const childValues = flattenObject(child).values;
+                    const childLower = new Map(Object.keys(childValues).map(key => [key.toLowerCase(), key]));
+                    const childRow = { ParentId: parentId };
+                    childColumns(subquery).forEach(name => {
+                        childRow[name] = pick(childValues, childLower, name);
+                    });
+                    return childRow;
+                });
+            });
+        }
+        return result;
+    }
+
+    return {
+        flatten,
+        get columns() {
+            return columns;
+        },
+        childColumns: name => {
+            const subquery = subqueries.find(item => item.name === name);
+            return subquery ? ['ParentId'].concat(childColumns(subquery)) : [];
+        }
+    };
+}
+
+module.exports = {
+    CHILD_MODES,
+    parseSelectFields,
+    createRecordFlattener
+};
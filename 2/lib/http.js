@@ -0,0 +1,57 @@
+// lib/http.js
+// Shared request layer for calls made outside jsforce (raw CSV downloads, custom REST URLs).
+// jsforce calls (conn.query, conn.request, ...) are refreshed by the refreshFn set in lib/auth.js;
+// both paths go through the same session refresh so a token is only re-issued once.
+const axios = require('axios');
+
+function isSessionExpired(error) {
+    const response = error && error.response;
+    if (!response || response.status !== 401) {
+        return false;
+    }
+    const body = Array.isArray(response.data) ? response.data[0] : response.data;
+    if (body && body.errorCode) {
+        return body.errorCode === 'INVALID_SESSION_ID';
+    }
+    return typeof body === 'string' ? body.includes('INVALID_SESSION_ID') || !body.trim() : true;
+}
+
+async function refreshSession(conn, since = Date.now()) {
+    if (!conn._refreshDelegate) {
+        throw new Error('Session expired (INVALID_SESSION_ID) and no auth provider is configured to refresh it.');
+    }
+    await conn._refreshDelegate.refresh(since);
+}
+
+// Send an authenticated request to a path relative to the instance URL; on an expired
+// session the credentials are refreshed from the active auth provider and the request replayed once.
+async function sfRequest(conn, { method = 'GET', url, data, headers = {}, responseType, timeout }) {
+    const send = () => axios({
+        method,
+        url: /^https?:\/\//.test(url) ? url : `${conn.instanceUrl}${url}`,
+        data,
+        headers: {
+            'Authorization': `Bearer ${conn.accessToken}`,
+            ...headers
+        },
+        responseType,
+        timeout
+    });
+
+    const requestTime = Date.now();
+    try {
+        return await send();
+    } catch (error) {
+        if (!isSessionExpired(error)) {
+            throw error;
+        }
+        await refreshSession(conn, requestTime);
+        return send();
+    }
+}
+
+module.exports = {
+    isSessionExpired,
+    refreshSession,
+    sfRequest
+};
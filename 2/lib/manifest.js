@@ -0,0 +1,188 @@
+// lib/manifest.js
+// package.xml / destructiveChanges.xml handling. A manifest is { types: [{ name, members }], version };
+// everything written goes through toPackageXml so members are deduped, sorted and XML-escaped.
+const fs = require('fs').promises;
+const path = require('path');
+
+const METADATA_XMLNS = 'http://soap.sforce.com/2006/04/metadata';
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, '\'')
+        .replace(/&amp;/g, '&');
+}
+
+function compareVersions(a, b) {
+    return parseFloat(a) - parseFloat(b);
+}
+
+function toTypeMap(manifest) {
+    const typeMap = new Map();
+    (manifest.types || []).forEach(type => {
+        if (!typeMap.has(type.name)) typeMap.set(type.name, new Set());
+        type.members.forEach(member => typeMap.get(type.name).add(member));
+    });
+    return typeMap;
+}
+
+// Deduped, sorted manifest; types without members are dropped
+function fromTypeMap(typeMap, version) {
+    const types = Array.from(typeMap.entries())
+        .filter(([, members]) => members.size > 0)
+        .map(([name, members]) => ({
+            name,
+            // the wildcard stays first, as in Salesforce-generated manifests
+            members: Array.from(members).sort((a, b) => (a === '*' ? -1 : b === '*' ? 1 : a < b ? -1 : a > b ? 1 : 0))
+        }))
+        .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    return { types, version: version || null };
+}
+
+function normalizeManifest(manifest) {
+    return fromTypeMap(toTypeMap(manifest), manifest.version);
+}
+
+// Read the <types> and <version> of a package.xml into { types: [{ name, members }], version }
+function parsePackageXml(xml) {
+    const types = [];
+    const typePattern = /<types>([\s\S]*?)<\/types>/g;
+    let match;
+    while ((match = typePattern.exec(xml)) !== null) {
+        const nameMatch = /<name>([\s\S]*?)<\/name>/.exec(match[1]);
+        if (!nameMatch) continue;
+        const members = Array.from(match[1].matchAll(/<members>([\s\S]*?)<\/members>/g), member => unescapeXml(member[1].trim()));
+        types.push({ name: unescapeXml(nameMatch[1].trim()), members });
+    }
+    const versionMatch = /<version>([\s\S]*?)<\/version>/.exec(xml);
+    return { types, version: versionMatch ? versionMatch[1].trim() : null };
+}
+
+// destructiveChanges.xml carries no <version>; pass includeVersion: false for it
+function toPackageXml(manifest, { includeVersion = true } = {}) {
+    const normalized = normalizeManifest(manifest);
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    xml += `<Package xmlns="${METADATA_XMLNS}">\n`;
+    normalized.types.forEach(type => {
+        xml += '    <types>\n';
+        type.members.forEach(member => {
+            xml += `        <members>${escapeXml(member)}</members>\n`;
+        });
+        xml += `        <name>${escapeXml(type.name)}</name>\n`;
+        xml += '    </types>\n';
+    });
+    if (includeVersion && normalized.version) {
+        xml += `    <version>${escapeXml(normalized.version)}</version>\n`;
+    }
+    xml += '</Package>\n';
+    return xml;
+}
+
+// Split SourceMember records into a deploy manifest and a destructive one. A member tracked several
+// times is decided by its latest revision, so a component deleted and re-created is deployed, not deleted.
+function manifestFromSourceMembers(records, version) {
+    const latest = new Map();
+    records.forEach(record => {
+        if (!record.MemberType || !record.MemberName) return;
+        const key = `${record.MemberType}\u0000${record.MemberName}`;
+        const current = latest.get(key);
+        if (!current || Number(record.RevisionCounter || 0) > Number(current.RevisionCounter || 0)) {
+            latest.set(key, record);
+        }
+    });
+
+    const deployTypes = new Map();
+    const destructiveTypes = new Map();
+    latest.forEach(record => {
+        const target = record.IsNameObsolete === true || record.IsNameObsolete === 'true' ? destructiveTypes : deployTypes;
+        if (!target.has(record.MemberType)) target.set(record.MemberType, new Set());
+        target.get(record.MemberType).add(record.MemberName);
+    });
+    return {
+        manifest: fromTypeMap(deployTypes, version),
+        destructiveManifest: fromTypeMap(destructiveTypes, version)
+    };
+}
+
+// Union of all members; the highest version wins
+function mergeManifests(...manifests) {
+    const typeMap = new Map();
+    let version = null;
+    manifests.forEach(manifest => {
+        toTypeMap(manifest).forEach((members, name) => {
+            if (!typeMap.has(name)) typeMap.set(name, new Set());
+            members.forEach(member => typeMap.get(name).add(member));
+        });
+        if (manifest.version && (!version || compareVersions(manifest.version, version) > 0)) {
+            version = manifest.version;
+        }
+    });
+    return fromTypeMap(typeMap, version);
+}
+
+// Members of `base` that are not in `other`; a wildcard in `other` removes the whole type
+function subtractManifests(base, other) {
+    const typeMap = toTypeMap(base);
+    toTypeMap(other).forEach((members, name) => {
+        if (!typeMap.has(name)) return;
+        if (members.has('*')) {
+            typeMap.delete(name);
+            return;
+        }
+        members.forEach(member => typeMap.get(name).delete(member));
+    });
+    return fromTypeMap(typeMap, base.version);
+}
+
+function diffManifests(base, other) {
+    return {
+        added: subtractManifests(other, base),
+        removed: subtractManifests(base, other)
+    };
+}
+
+function countMembers(manifest) {
+    return (manifest.types || []).reduce((sum, type) => sum + type.members.length, 0);
+}
+
+async function readManifest(filePath) {
+    return parsePackageXml(await fs.readFile(filePath, 'utf8'));
+}
+
+// Write package.xml, plus destructiveChanges.xml when there are deletions. A destructive deploy still
+// needs a package.xml, so one is always written (with no types if nothing else changed).
+async function writeManifests(dir, { manifest, destructiveManifest }) {
+    const packageFile = path.join(dir, 'package.xml');
+    await fs.writeFile(packageFile, toPackageXml(manifest));
+    const files = [packageFile];
+    if (destructiveManifest && countMembers(destructiveManifest) > 0) {
+        const destructiveFile = path.join(dir, 'destructiveChanges.xml');
+        await fs.writeFile(destructiveFile, toPackageXml(destructiveManifest, { includeVersion: false }));
+        files.push(destructiveFile);
+    }
+    return files;
+}
+
+module.exports = {
+    parsePackageXml,
+    toPackageXml,
+    normalizeManifest,
+    manifestFromSourceMembers,
+    mergeManifests,
+    subtractManifests,
+    diffManifests,
+    countMembers,
+    readManifest,
+    writeManifests
+};
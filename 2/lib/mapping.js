@@ -0,0 +1,265 @@
+// lib/mapping.js
+// Column mapping for bulk loads: a JSON or YAML file names each target field and where its value comes from.
+// Source columns that are not mapped are dropped. Rows are transformed one at a time while the CSV streams,
+// so a mapped load never holds the file in memory or writes an intermediate copy.
+//
+//   fields:
+//     LastName: Surname                         # rename
+//     FirstName: { source: Given Name, trim: true }
+//     LeadSource: { source: Channel, lookup: { web: Web, tel: Phone Inquiry }, default: Other }
+//     Birthdate: { source: DOB, date: { from: DD/MM/YYYY, to: YYYY-MM-DD } }
+//     Joined: { source: Start, date: { from: DD/MM/YY, pivot: 30 } }  # YY below 30 is 20YY, else 19YY
+//     Description: { concat: [Note 1, Note 2], separator: ' - ' }
+//     Country: { default: US }                  # constant
+//   trim: true                                  # trim every value
+const fs = require('fs');
+const { Readable } = require('stream');
+const { parse } = require('csv-parse');
+const { createArrayCsvStringifier } = require('csv-writer');
+const { readConfigFile } = require('./utils');
+
+const FIELD_KEYS = ['source', 'concat', 'separator', 'trim', 'default', 'date', 'lookup', 'strict'];
+const DATE_TOKENS = { YYYY: '(\\d{4})', YY: '(\\d{2})', MM: '(\\d{1,2})', M: '(\\d{1,2})', DD: '(\\d{1,2})', D: '(\\d{1,2})', HH: '(\\d{1,2})', mm: '(\\d{2})', ss: '(\\d{2})' };
+const DATE_TOKEN_PATTERN = /YYYY|YY|MM|M|DD|D|HH|mm|ss/g;
+const DEFAULT_CENTURY_PIVOT = 50; // two-digit years below the pivot are 20YY, the rest 19YY
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// "DD/MM/YYYY" -> a parser returning { YYYY, MM, DD, ... } or null when the value does not match
+function compileDatePattern(pattern) {
+    const tokens = [];
+    let source = '';
+    let last = 0;
+    pattern.replace(DATE_TOKEN_PATTERN, (token, offset) => {
+        source += escapeRegExp(pattern.slice(last, offset)) + DATE_TOKENS[token];
+        tokens.push(token);
+        last = offset + token.length;
+        return token;
+    });
+    const regex = new RegExp(`^${source}${escapeRegExp(pattern.slice(last))}$`);
+    return value => {
+        const match = regex.exec(value);
+        if (!match) return null;
+        const parts = {};
+        tokens.forEach((token, index) => { parts[token] = match[index + 1]; });
+        return parts;
+    };
+}
+
+// Parsed tokens -> numeric { year, month, day, hour, minute, second }, or null when a part is out of range
+function resolveDateParts(parts, pivot) {
+    const twoDigitYear = parts.YY === undefined ? null : Number(parts.YY);
+    const date = {
+        year: parts.YYYY !== undefined ? Number(parts.YYYY) : twoDigitYear === null ? null : twoDigitYear + (twoDigitYear < pivot ? 2000 : 1900),
+        month: Number(parts.MM || parts.M || 0),
+        day: Number(parts.DD || parts.D || 0),
+        hour: Number(parts.HH || 0),
+        minute: Number(parts.mm || 0),
+        second: Number(parts.ss || 0)
+    };
+    // Without a year, 29 February is allowed
+    const daysInMonth = new Date(Date.UTC(date.year === null ? 2000 : date.year, date.month, 0)).getUTCDate();
+    if ((parts.MM !== undefined || parts.M !== undefined) && (date.month < 1 || date.month > 12)) return null;
+    if ((parts.DD !== undefined || parts.D !== undefined) && (date.day < 1 || date.day > (date.month ? daysInMonth : 31))) return null;
+    if (date.hour > 23 || date.minute > 59 || date.second > 59) return null;
+    return date;
+}
+
+function formatDateParts(date, pattern) {
+    const year = date.year === null ? '' : String(date.year).padStart(4, '0');
+    const values = {
+        YYYY: year,
+        YY: year.slice(-2),
+        MM: String(date.month).padStart(2, '0'),
+        M: String(date.month),
+        DD: String(date.day).padStart(2, '0'),
+        D: String(date.day),
+        HH: String(date.hour).padStart(2, '0'),
+        mm: String(date.minute).padStart(2, '0'),
+        ss: String(date.second).padStart(2, '0')
+    };
+    return pattern.replace(DATE_TOKEN_PATTERN, token => values[token]);
+}
+
+// Normalize one field entry (a column name or an options object) and check its shape
+function normalizeField(target, entry, globalTrim) {
+    const spec = typeof entry === 'string' ? { source: entry } : entry;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error(`Mapping for "${target}" must be a column name or an object.`);
+    }
+    const unknown = Object.keys(spec).filter(key => !FIELD_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Mapping for "${target}" has unknown option(s): ${unknown.join(', ')}. Use: ${FIELD_KEYS.join(', ')}.`);
+    }
+    if (spec.source !== undefined && spec.concat !== undefined) {
+        throw new Error(`Mapping for "${target}" cannot have both source and concat.`);
+    }
+    if (spec.concat !== undefined && (!Array.isArray(spec.concat) || spec.concat.length === 0)) {
+        throw new Error(`Mapping for "${target}": concat must be a list of column names.`);
+    }
+    if (spec.source === undefined && spec.concat === undefined && spec.default === undefined) {
+        throw new Error(`Mapping for "${target}" needs a source, concat or default.`);
+    }
+    if (spec.lookup !== undefined && (typeof spec.lookup !== 'object' || Array.isArray(spec.lookup) || spec.lookup === null)) {
+        throw new Error(`Mapping for "${target}": lookup must be a table of source value to target value.`);
+    }
+    const date = spec.date === undefined ? null : typeof spec.date === 'string' ? { from: spec.date } : spec.date;
+    if (date && (!date.from || typeof date.from !== 'string')) {
+        throw new Error(`Mapping for "${target}": date needs a "from" pattern (e.g. DD/MM/YYYY).`);
+    }
+    if (date && date.pivot !== undefined && !(Number.isInteger(date.pivot) && date.pivot >= 0 && date.pivot <= 100)) {
+        throw new Error(`Mapping for "${target}": date pivot must be a whole number from 0 to 100.`);
+    }
+    return {
+        target,
+        sources: spec.concat !== undefined ? spec.concat.map(String) : spec.source !== undefined ? [String(spec.source)] : [],
+        separator: spec.separator === undefined ? ' ' : String(spec.separator),
+        trim: spec.trim === undefined ? globalTrim : Boolean(spec.trim),
+        defaultValue: spec.default === undefined || spec.default === null ? null : String(spec.default),
+        lookup: spec.lookup ? new Map(Object.entries(spec.lookup).map(([key, value]) => [key, value === null ? '' : String(value)])) : null,
+        strict: Boolean(spec.strict),
+        date: date ? {
+            parse: compileDatePattern(date.from),
+            from: date.from,
+            to: date.to || 'YYYY-MM-DD',
+            pivot: date.pivot === undefined ? DEFAULT_CENTURY_PIVOT : date.pivot
+        } : null
+    };
+}
+
+// Validate a parsed mapping document and return { fields } ready for createRowMapper
+function compileMapping(document) {
+    if (!document || typeof document !== 'object' || !document.fields || typeof document.fields !== 'object' || Array.isArray(document.fields)) {
+        throw new Error('Mapping must have a "fields" section of TargetField: source.');
+    }
+    const targets = Object.keys(document.fields);
+    if (targets.length === 0) {
+        throw new Error('Mapping has no fields.');
+    }
+    return { fields: targets.map(target => normalizeField(target, document.fields[target], Boolean(document.trim))) };
+}
+
+async function loadMapping(filePath) {
+    const document = await readConfigFile(filePath);
+    try {
+        return compileMapping(document);
+    } catch (error) {
+        throw new Error(`${filePath}: ${error.message}`);
+    }
+}
+
+function transformValue(field, values, row) {
+    let value = field.sources.length > 1
+        ? values.map(part => (field.trim ? part.trim() : part)).filter(part => part !== '').join(field.separator)
+        : values.length === 1 ? values[0] : '';
+    if (field.trim) value = value.trim();
+    if (value !== '' && field.lookup) {
+        if (field.lookup.has(value)) {
+            value = field.lookup.get(value);
+        } else if (field.strict) {
+            throw new Error(`Row ${row}, ${field.target}: "${value}" is not in the lookup table.`);
+        }
+    }
+    if (value !== '' && field.date) {
+        const parts = field.date.parse(value);
+        if (!parts) {
+            throw new Error(`Row ${row}, ${field.target}: "${value}" does not match the date pattern ${field.date.from}.`);
+        }
+        const date = resolveDateParts(parts, field.date.pivot);
+        if (!date) {
+            throw new Error(`Row ${row}, ${field.target}: "${value}" is not a valid date for the pattern ${field.date.from}.`);
+        }
+        value = formatDateParts(date, field.date.to);
+    }
+    if (value === '' && field.defaultValue !== null) value = field.defaultValue;
+    return value;
+}
+
+// Resolve source columns against the CSV header (case-insensitive) and return (values, row) -> mapped values
+function createRowMapper(mapping, headers) {
+    const indexByName = new Map();
+    headers.forEach((header, index) => {
+        const key = header.trim().toLowerCase();
+        if (!indexByName.has(key)) indexByName.set(key, index);
+    });
+    const missing = [];
+    const fields = mapping.fields.map(field => ({
+        ...field,
+        indexes: field.sources.map(source => {
+            const index = indexByName.get(source.trim().toLowerCase());
+            if (index === undefined) missing.push(`${source} (for ${field.target})`);
+            return index;
+        })
+    }));
+    if (missing.length > 0) {
+        throw new Error(`Mapped column(s) not found in the CSV header: ${missing.join(', ')}.`);
+    }
+    return (values, row) => fields.map(field =>
+        transformValue(field, field.indexes.map(index => (values[index] === undefined ? '' : values[index])), row)
+    );
+}
+
+// Yields { line, values } (header first) as they will be uploaded: parsed with the file's delimiter, and mapped
+// when there is a mapping. Blank rows of a mapped file are dropped here since they would map to default values.
+// `line` is the line of the file the record starts on. csv-parse counts \r\n inside a quoted value as two lines,
+// so line breaks are counted from each record's raw text instead.
+async function* readSourceRecords(csvFilePath, mapping, { delimiter = ',' } = {}) {
+    const parser = fs.createReadStream(csvFilePath).pipe(parse({ bom: true, relax_column_count: true, delimiter, raw: true }));
+    let mapRow = null;
+    let line = 1;
+    let afterCR = false;
+    for await (const { record, raw } of parser) {
+        const start = line;
+        line += (raw.match(/\r\n|\r|\n/g) || []).length - (afterCR && raw.startsWith('\n') ? 1 : 0);
+        afterCR = raw.endsWith('\r');
+        if (!mapping) {
+            yield { line: start, values: record };
+        } else if (!mapRow) {
+            mapRow = createRowMapper(mapping, record);
+            yield { line: start, values: mapping.fields.map(field => field.target) };
+        } else if (!(record.length === 1 && record[0].trim() === '')) {
+            yield { line: start, values: mapRow(record, start) };
+        }
+    }
+}
+
+// The rows of readSourceRecords without their line numbers
+async function* readSourceRows(csvFilePath, mapping, options) {
+    for await (const { values } of readSourceRecords(csvFilePath, mapping, options)) {
+        yield values;
+    }
+}
+
+// Yields raw CSV records (header first) of the mapped file, like csvchunker's readCsvRecords.
+// The mapped file is always written with commas and LF line endings.
+async function* mapCsvRecords(csvFilePath, mapping, { delimiter = ',' } = {}) {
+    const stringifier = createArrayCsvStringifier({ header: mapping.fields.map(field => field.target) });
+    let headerWritten = false;
+    for await (const values of readSourceRows(csvFilePath, mapping, { delimiter })) {
+        if (!headerWritten) {
+            headerWritten = true;
+            yield stringifier.getHeaderString();
+            continue;
+        }
+        yield stringifier.stringifyRecords([values]);
+    }
+}
+
+// A text stream of the CSV as it will be uploaded: the file itself, or its mapped version
+function openCsvSource(csvFilePath, mapping, { delimiter = ',' } = {}) {
+    return mapping
+        ? Readable.from(mapCsvRecords(csvFilePath, mapping, { delimiter }))
+        : fs.createReadStream(csvFilePath, { encoding: 'utf8' });
+}
+
+module.exports = {
+    compileMapping,
+    loadMapping,
+    createRowMapper,
+    readSourceRecords,
+    readSourceRows,
+    mapCsvRecords,
+    openCsvSource
+};
@@ -0,0 +1,328 @@
+// lib/migrate.js
+// Copies records between orgs following a plan. Each object is extracted from the source org with a Bulk API
+// query and inserted into the target with Bulk API 2.0, in plan order. Lookups to objects loaded earlier are
+// rewritten through a source Id -> target Id map. Lookups to the same object or to one loaded later cannot be
+// resolved at insert time; they are filled in by update jobs once everything is loaded.
+// New target Ids are matched to source rows through `externalId`, a target external Id field that is loaded
+// with the source Id; without one they are matched on the row values, and identical rows are reported.
+//
+//   objects:
+//     - sobject: Account
+//       where: Industry = 'Banking'
+//       externalId: Legacy_Id__c
+//     - sobject: Contact
+//       where: Account.Industry = 'Banking'
+//       fields: [FirstName, LastName, Email, AccountId]
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { parse } = require('csv-parse');
+const { runBulkQuery } = require('./bulkquery');
+const { runBulkApiJob } = require('./bulk');
+const { createStreamWriter } = require('./exporter');
+const { rowKey } = require('./bulkreport');
+const { readConfigFile } = require('./utils');
+
+const PLAN_OBJECT_KEYS = ['sobject', 'where', 'fields', 'limit', 'externalId'];
+const ID_MAP_COLUMNS = [
+    { id: 'sobject', title: 'SObject' },
+    { id: 'sourceId', title: 'SourceId' },
+    { id: 'targetId', title: 'TargetId' }
+];
+const MIGRATION_COLUMNS = ['sobject', 'extracted', 'inserted', 'failed', 'ambiguousMatches', 'unresolvedLookups', 'deferredLookups', 'lookupsUpdated'];
+// Bulk query cannot return these, and they cannot be inserted as plain values
+const SKIPPED_FIELD_TYPES = ['base64', 'address', 'location'];
+
+function compilePlan(document) {
+    const objects = document && Array.isArray(document.objects) ? document.objects : null;
+    if (!objects || objects.length === 0) {
+        throw new Error('Plan must have an "objects" list.');
+    }
+    const seen = new Set();
+    return objects.map((entry, index) => {
+        const spec = typeof entry === 'string' ? { sobject: entry } : entry;
+        if (!spec || typeof spec !== 'object' || !spec.sobject) {
+            throw new Error(`Plan object ${index + 1} needs an "sobject".`);
+        }
+        const unknown = Object.keys(spec).filter(key => !PLAN_OBJECT_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new Error(`Plan object ${spec.sobject} has unknown option(s): ${unknown.join(', ')}. Use: ${PLAN_OBJECT_KEYS.join(', ')}.`);
+        }
+        if (seen.has(spec.sobject.toLowerCase())) {
+            throw new Error(`${spec.sobject} appears more than once in the plan.`);
+        }
+        seen.add(spec.sobject.toLowerCase());
+        if (spec.fields !== undefined && (!Array.isArray(spec.fields) || spec.fields.length === 0)) {
+            throw new Error(`Plan object ${spec.sobject}: fields must be a list of field names.`);
+        }
+        if (spec.limit !== undefined && !(Number.isInteger(spec.limit) && spec.limit > 0)) {
+            throw new Error(`Plan object ${spec.sobject}: limit must be a positive integer.`);
+        }
+        return {
+            sobject: spec.sobject,
+            where: spec.where ? String(spec.where) : null,
+            fields: spec.fields ? spec.fields.map(String) : null,
+            limit: spec.limit || null,
+            externalId: spec.externalId ? String(spec.externalId) : null
+        };
+    });
+}
+
+async function loadPlan(filePath) {
+    const document = await readConfigFile(filePath);
+    try {
+        return compilePlan(document);
+    } catch (error) {
+        throw new Error(`${filePath}: ${error.message}`);
+    }
+}
+
+// Pick the fields to copy and classify the lookups among them. Lookups to objects outside the plan are left out
+// of the default field list and rejected in an explicit one, since their Ids mean nothing in the target.
+// Without an explicit field list: every field createable in the target and present in the source.
+function planFields(step, index, plan, sourceDescribe, targetDescribe) {
+    const sourceFields = new Map(sourceDescribe.fields.map(field => [field.name.toLowerCase(), field]));
+    const targetFields = new Map(targetDescribe.fields.map(field => [field.name.toLowerCase(), field]));
+    const positions = new Map(plan.map((other, position) => [other.sobject.toLowerCase(), position]));
+    const planTargets = field => (field.referenceTo || []).filter(name => positions.has(name.toLowerCase()));
+
+    let fields;
+    if (step.fields) {
+        const missing = step.fields.filter(name => !sourceFields.has(name.toLowerCase()) || !targetFields.has(name.toLowerCase()));
+        if (missing.length > 0) {
+            throw new Error(`${step.sobject}: field(s) not found in both orgs: ${missing.join(', ')}.`);
+        }
+        fields = step.fields.filter(name => name.toLowerCase() !== 'id').map(name => targetFields.get(name.toLowerCase()));
+        const outside = fields.filter(field => field.type === 'reference' && planTargets(field).length === 0);
+        if (outside.length > 0) {
+            throw new Error(`${step.sobject}: lookup field(s) ${outside.map(field => `${field.name} (${(field.referenceTo || []).join(', ')})`).join(', ')} point to objects outside the plan; add the objects to the plan or drop the fields.`);
+        }
+    } else {
+        fields = targetDescribe.fields.filter(field =>
+            field.createable &&
+            sourceFields.has(field.name.toLowerCase()) &&
+            !SKIPPED_FIELD_TYPES.includes(field.type) &&
+            (field.type !== 'reference' || planTargets(field).length > 0));
+    }
+
+    // The correlation field is loaded with the source Id, not copied
+    let correlationField = null;
+    if (step.externalId) {
+        const field = targetFields.get(step.externalId.toLowerCase());
+        if (!field || !field.externalId || !field.createable) {
+            throw new Error(`${step.sobject}: externalId ${step.externalId} must be a createable external Id field in the target org.`);
+        }
+        correlationField = field.name;
+        fields = fields.filter(other => other.name !== correlationField);
+    }
+
+    // A lookup is deferred when any object it can point to is not loaded before this one
+    const lookups = fields
+        .filter(field => field.type === 'reference' && planTargets(field).length > 0)
+        .map(field => ({
+            name: field.name,
+            deferred: planTargets(field).some(name => positions.get(name.toLowerCase()) >= index)
+        }));
+    return { fields: fields.map(field => field.name), lookups, correlationField };
+}
+
+function buildQuery(step, fields) {
+    return `SELECT ${['Id', ...fields].join(', ')} FROM ${step.sobject}` +
+        (step.where ? ` WHERE ${step.where}` : '') +
+        (step.limit ? ` LIMIT ${step.limit}` : '');
+}
+
+async function* readCsv(filePath) {
+    if (!fs.existsSync(filePath)) return;
+    const parser = fs.createReadStream(filePath).pipe(parse({ columns: true, bom: true }));
+    for await (const record of parser) {
+        yield record;
+    }
+}
+
+// Successful results echo the uploaded row, which is how a new Id is matched back to its source row:
+// on the correlation field when there is one, else on the values of all fields
+function matchKey(fields, correlationField, row) {
+    return correlationField ? row[correlationField] || '' : rowKey(fields.map(name => row[name] || ''));
+}
+
+// Rewrite lookups of the extracted rows into the load file; returns the match key -> source Ids index
+async function prepareLoadFile(extractFile, loadFile, fields, correlationField, lookups, idMap, deferredRows, stats) {
+    const columns = correlationField ? [...fields, correlationField] : fields;
+    const writer = createStreamWriter(loadFile, 'csv', columns.map(name => ({ id: name, title: name })));
+    const sourceIdsByKey = new Map();
+    try {
+        let batch = [];
+        for await (const record of readCsv(extractFile)) {
+            const row = {};
+            fields.forEach(name => { row[name] = record[name] || ''; });
+            if (correlationField) row[correlationField] = record.Id;
+            const deferred = {};
+            lookups.forEach(lookup => {
+                const value = row[lookup.name];
+                if (!value) return;
+                if (lookup.deferred) {
+                    deferred[lookup.name] = value;
+                    row[lookup.name] = '';
+                } else if (idMap.has(value)) {
+                    row[lookup.name] = idMap.get(value);
+                } else {
+                    row[lookup.name] = '';
+                    stats.unresolvedLookups++;
+                }
+            });
+            if (Object.keys(deferred).length > 0) {
+                deferredRows.push({ sourceId: record.Id, values: deferred });
+            }
+            const key = matchKey(fields, correlationField, row);
+            if (!sourceIdsByKey.has(key)) sourceIdsByKey.set(key, []);
+            sourceIdsByKey.get(key).push(record.Id);
+            batch.push(row);
+            if (batch.length >= 2000) {
+                await writer.writeRecords(batch);
+                batch = [];
+            }
+        }
+        await writer.writeRecords(batch);
+    } finally {
+        await writer.close();
+    }
+    stats.extracted = writer.count;
+    // Rows with identical values get interchangeable target Ids, so children may be linked to the wrong one of them
+    sourceIdsByKey.forEach(sourceIds => {
+        if (sourceIds.length > 1) stats.ambiguousMatches += sourceIds.length;
+    });
+    return sourceIdsByKey;
+}
+
+async function recordNewIds(step, fields, correlationField, sourceIdsByKey, successfulFile, idMap, idMapWriter) {
+    let batch = [];
+    let unmatched = 0;
+    for await (const result of readCsv(successfulFile)) {
+        const sourceIds = sourceIdsByKey.get(matchKey(fields, correlationField, result));
+        const sourceId = sourceIds && sourceIds.shift();
+        if (!sourceId) {
+            unmatched++;
+            continue;
+        }
+        idMap.set(sourceId, result.sf__Id);
+        batch.push({ sobject: step.sobject, sourceId, targetId: result.sf__Id });
+        if (batch.length >= 2000) {
+            await idMapWriter.writeRecords(batch);
+            batch = [];
+        }
+    }
+    await idMapWriter.writeRecords(batch);
+    if (unmatched > 0) {
+        console.warn(chalk.yellow(`${step.sobject}: ${unmatched} inserted record(s) could not be matched to a source row; lookups to them will be blank.`));
+    }
+}
+
+// Second pass: set self and forward lookups now that every object has its target Ids
+async function updateDeferredLookups(targetConn, step, lookups, deferredRows, idMap, outDir, stats) {
+    const names = lookups.filter(lookup => lookup.deferred).map(lookup => lookup.name);
+    const updateFile = path.join(outDir, `${step.sobject}_lookups.csv`);
+    const writer = createStreamWriter(updateFile, 'csv', ['Id', ...names].map(name => ({ id: name, title: name })));
+    try {
+        for (const deferred of deferredRows) {
+            const targetId = idMap.get(deferred.sourceId);
+            if (!targetId) continue;
+            const row = { Id: targetId };
+            names.forEach(name => {
+                const value = deferred.values[name];
+                row[name] = value && idMap.has(value) ? idMap.get(value) : '';
+                if (value && !idMap.has(value)) stats.unresolvedLookups++;
+            });
+            if (names.some(name => row[name])) {
+                await writer.writeRecords([row]);
+            }
+        }
+    } finally {
+        await writer.close();
+    }
+    if (writer.count === 0) return;
+
+    console.log(chalk.yellow(`${step.sobject}: updating ${names.join(', ')} on ${writer.count} record(s)`));
+    const result = await runBulkApiJob(targetConn, step.sobject, 'update', null, updateFile, {
+        snapshot: false,
+        successfulResultsFile: path.join(outDir, `${step.sobject}_lookups_successful.csv`),
+        failedResultsFile: path.join(outDir, `${step.sobject}_lookups_failed.csv`),
+        resultsReportFile: path.join(outDir, `${step.sobject}_lookups_results.csv`)
+    });
+    stats.lookupsUpdated = result.numberRecordsProcessed - result.numberRecordsFailed;
+}
+
+async function migrateRecords(sourceConn, targetConn, plan, { outDir = 'migration' } = {}) {
+    await fs.promises.mkdir(outDir, { recursive: true });
+    const idMap = new Map();
+    const idMapFile = path.join(outDir, 'id_map.csv');
+    const idMapWriter = createStreamWriter(idMapFile, 'csv', ID_MAP_COLUMNS);
+    const results = [];
+    const pending = [];
+
+    try {
+        for (let index = 0; index < plan.length; index++) {
+            const step = plan[index];
+            const stats = { sobject: step.sobject, extracted: 0, inserted: 0, failed: 0, ambiguousMatches: 0, unresolvedLookups: 0, deferredLookups: 0, lookupsUpdated: 0 };
+            results.push(stats);
+
+            const describe = async (conn, org) => conn.describe(step.sobject).catch(err => {
+                throw new Error(`${step.sobject} is not accessible in the ${org} org: ${err.message}`);
+            });
+            const { fields, lookups, correlationField } = planFields(step, index, plan, await describe(sourceConn, 'source'), await describe(targetConn, 'target'));
+
+            console.log(chalk.blue(`\n=== ${step.sobject} (${index + 1}/${plan.length}) ===`));
+            const extractFile = path.join(outDir, `${step.sobject}_extract.csv`);
+            await runBulkQuery(sourceConn, buildQuery(step, fields), { format: 'csv', out: extractFile });
+
+            const loadFile = path.join(outDir, `${step.sobject}_load.csv`);
+            const deferredRows = [];
+            const sourceIdsByKey = await prepareLoadFile(extractFile, loadFile, fields, correlationField, lookups, idMap, deferredRows, stats);
+            stats.deferredLookups = deferredRows.length;
+            if (stats.extracted === 0) {
+                console.log(chalk.yellow(`${step.sobject}: no records match the plan filter.`));
+                continue;
+            }
+            if (stats.ambiguousMatches > 0) {
+                console.warn(chalk.yellow(`${step.sobject}: ${stats.ambiguousMatches} record(s) have the same values as another record, so their target Ids may be swapped. Set externalId in the plan to match on the source Id.`));
+            }
+
+            console.log(chalk.yellow(`${step.sobject}: inserting ${stats.extracted} record(s)`));
+            const successfulFile = path.join(outDir, `${step.sobject}_successful.csv`);
+            const result = await runBulkApiJob(targetConn, step.sobject, 'insert', null, loadFile, {
+                successfulResultsFile: successfulFile,
+                failedResultsFile: path.join(outDir, `${step.sobject}_failed.csv`),
+                resultsReportFile: path.join(outDir, `${step.sobject}_results.csv`)
+            });
+            stats.inserted = result.numberRecordsProcessed - result.numberRecordsFailed;
+            stats.failed = result.numberRecordsFailed;
+            if (result.successfulResultsFile) {
+                await recordNewIds(step, fields, correlationField, sourceIdsByKey, successfulFile, idMap, idMapWriter);
+            }
+            if (result.state !== 'JobComplete') {
+                throw new Error(`${step.sobject} load did not complete: ${result.errorMessage || result.state}`);
+            }
+            if (deferredRows.length > 0) {
+                pending.push({ step, lookups, deferredRows, stats });
+            }
+        }
+
+        for (const { step, lookups, deferredRows, stats } of pending) {
+            await updateDeferredLookups(targetConn, step, lookups, deferredRows, idMap, outDir, stats);
+        }
+    } finally {
+        await idMapWriter.close();
+    }
+
+    return { objects: results, idMapFile, outDir };
+}
+
+module.exports = {
+    MIGRATION_COLUMNS,
+    compilePlan,
+    loadPlan,
+    planFields,
+    prepareLoadFile,
+    recordNewIds,
+    migrateRecords
+};
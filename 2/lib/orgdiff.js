@@ -0,0 +1,367 @@
+// lib/orgdiff.js
+// Org-to-org metadata comparison: listMetadata on both orgs (folder-based types folder by folder), matched by type and fullName.
+// With content comparison the changed components are retrieved from both orgs and diffed file by file;
+// child types (CustomField, ValidationRule, ...) live in their parent's file and are compared by their own element.
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { retrieveMetadata } = require('./retrieve');
+const { toPackageXml } = require('./manifest');
+
+const ORG_DIFF_COLUMNS = [
+    { id: 'type', title: 'Type' },
+    { id: 'fullName', title: 'Full Name' },
+    { id: 'status', title: 'Status' },
+    { id: 'sourceLastModified', title: 'Source Last Modified' },
+    { id: 'sourceModifiedBy', title: 'Source Modified By' },
+    { id: 'targetLastModified', title: 'Target Last Modified' },
+    { id: 'targetModifiedBy', title: 'Target Modified By' },
+    { id: 'detail', title: 'Detail' }
+];
+
+// Longest-common-subsequence tables above this size are skipped and reported as "files differ"
+const MAX_DIFF_CELLS = 4000000;
+
+// Child types and the element that holds each of them in the parent file
+const CHILD_ELEMENTS = {
+    CustomField: 'fields',
+    ValidationRule: 'validationRules',
+    RecordType: 'recordTypes',
+    ListView: 'listViews',
+    WebLink: 'webLinks',
+    FieldSet: 'fieldSets',
+    CompactLayout: 'compactLayouts',
+    BusinessProcess: 'businessProcesses',
+    SharingReason: 'sharingReasons',
+    Index: 'indexes',
+    WorkflowRule: 'rules',
+    WorkflowFieldUpdate: 'fieldUpdates',
+    WorkflowAlert: 'alerts',
+    WorkflowOutboundMessage: 'outboundMessages',
+    WorkflowTask: 'tasks',
+    SharingCriteriaRule: 'sharingCriteriaRules',
+    SharingOwnerRule: 'sharingOwnerRules',
+    AssignmentRule: 'assignmentRule',
+    AutoResponseRule: 'autoResponseRule',
+    EscalationRule: 'escalationRule',
+    MatchingRule: 'matchingRules',
+    CustomLabel: 'labels'
+};
+
+// Folder-based types and the folder type listMetadata needs to find their folders
+const FOLDER_TYPES = {
+    Report: 'ReportFolder',
+    Dashboard: 'DashboardFolder',
+    EmailTemplate: 'EmailFolder',
+    Document: 'DocumentFolder'
+};
+
+// Types that can also live outside any folder
+const UNFILED_FOLDER_TYPES = ['Report', 'EmailTemplate'];
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+async function listMetadata(conn, query) {
+    const properties = await conn.metadata.list([query], conn.apiVersion).catch(err => {
+        throw new Error(`Error listing ${query.type} metadata${query.folder ? ` in ${query.folder}` : ''}: ${err.message}`);
+    });
+    return asArray(properties);
+}
+
+// Folder-based types are only listed per folder, so the folders are listed first
+async function listTypeMembers(conn, type) {
+    const folderType = FOLDER_TYPES[type];
+    if (!folderType) {
+        return listMetadata(conn, { type });
+    }
+    const folders = (await listMetadata(conn, { type: folderType })).map(folder => folder.fullName);
+    if (UNFILED_FOLDER_TYPES.includes(type)) {
+        folders.push('unfiled$public');
+    }
+    const properties = [];
+    for (const folder of folders) {
+        properties.push(...(await listMetadata(conn, { type, folder })));
+    }
+    return properties;
+}
+
+async function listMembers(conn, types) {
+    const members = new Map();
+    for (const type of types) {
+        const properties = await listTypeMembers(conn, type);
+        properties.forEach(property => {
+            members.set(`${type}\u0000${property.fullName}`, {
+                type,
+                fullName: property.fullName,
+                fileName: property.fileName,
+                lastModifiedDate: property.lastModifiedDate,
+                lastModifiedByName: property.lastModifiedByName
+            });
+        });
+    }
+    return members;
+}
+
+function compareMemberLists(sourceMembers, targetMembers) {
+    const rows = [];
+    sourceMembers.forEach((source, key) => {
+        const target = targetMembers.get(key);
+        if (!target) {
+            rows.push({ type: source.type, fullName: source.fullName, status: 'added', source, target: null });
+        } else if (source.lastModifiedDate !== target.lastModifiedDate) {
+            rows.push({ type: source.type, fullName: source.fullName, status: 'changed', source, target });
+        } else {
+            rows.push({ type: source.type, fullName: source.fullName, status: 'unchanged', source, target });
+        }
+    });
+    targetMembers.forEach((target, key) => {
+        if (!sourceMembers.has(key)) {
+            rows.push({ type: target.type, fullName: target.fullName, status: 'removed', source: null, target });
+        }
+    });
+    return rows.sort((a, b) => a.type.localeCompare(b.type) || a.fullName.localeCompare(b.fullName));
+}
+
+// Minimal line diff: common prefix/suffix are trimmed, the middle is aligned with an LCS table
+function diffLines(sourceText, targetText) {
+    const a = targetText.split(/\r?\n/);
+    const b = sourceText.split(/\r?\n/);
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    const oldLines = a.slice(start, endA);
+    const newLines = b.slice(start, endB);
+    if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+        return null;
+    }
+
+    const table = Array.from({ length: oldLines.length + 1 }, () => new Uint32Array(newLines.length + 1));
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            table[i][j] = oldLines[i] === newLines[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+    const lines = [`@@ line ${start + 1} @@`];
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+            lines.push(`  ${oldLines[i]}`);
+            i++;
+            j++;
+        } else if (i < oldLines.length && (j === newLines.length || table[i + 1][j] >= table[i][j + 1])) {
+            lines.push(`- ${oldLines[i++]}`);
+        } else {
+            lines.push(`+ ${newLines[j++]}`);
+        }
+    }
+    return lines;
+}
+
+// Direct children of the root element as { tag, text }
+function topLevelElements(xml) {
+    const elements = [];
+    const tagPattern = /<(\/?)([\w:.-]+)[^>]*?(\/?)>/g;
+    let depth = 0;
+    let start = -1;
+    let tag = null;
+    let match;
+    while ((match = tagPattern.exec(xml)) !== null) {
+        const [text, closing, name, selfClosing] = match;
+        if (closing) {
+            depth--;
+            if (depth === 1 && start >= 0) {
+                elements.push({ tag, text: xml.slice(start, match.index + text.length) });
+                start = -1;
+            }
+        } else if (selfClosing) {
+            if (depth === 1) elements.push({ tag: name, text });
+        } else {
+            if (depth === 1) {
+                start = match.index;
+                tag = name;
+            }
+            depth++;
+        }
+    }
+    return elements;
+}
+
+// The <fields>, <validationRules>, ... element of one child component, or null when the file does not have it.
+// Account.Industry is the element whose fullName is Industry; CustomLabel names carry no parent.
+function childElement(xml, type, fullName) {
+    const name = type === 'CustomLabel' ? fullName : fullName.slice(fullName.indexOf('.') + 1);
+    const element = topLevelElements(xml).find(candidate => {
+        if (candidate.tag !== CHILD_ELEMENTS[type]) return false;
+        const match = /<fullName>([\s\S]*?)<\/fullName>/.exec(candidate.text);
+        return match && match[1].trim() === name;
+    });
+    return element ? element.text : null;
+}
+
+async function readOptional(filePath) {
+    try {
+        return await fs.readFile(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function listFiles(dir, base = dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true }).catch(err => {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    });
+    const files = [];
+    for (const entry of entries) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...(await listFiles(fullPath, base)));
+        } else {
+            files.push(path.relative(base, fullPath).split(path.sep).join('/'));
+        }
+    }
+    return files;
+}
+
+// fileName is a file (classes/Foo.cls) or, for bundles, a directory (lwc/myCmp)
+async function diffComponentFiles(row, retrievedFiles, sourceDir, targetDir) {
+    const prefix = row.source.fileName;
+    const fileNames = Array.from(retrievedFiles)
+        .filter(file => file === prefix || file === `${prefix}-meta.xml` || file.startsWith(`${prefix}/`))
+        .sort();
+    const fileDiffs = [];
+    for (const fileName of fileNames) {
+        const sourceContent = await readOptional(path.join(sourceDir, fileName));
+        const targetContent = await readOptional(path.join(targetDir, fileName));
+        if (!sourceContent && !targetContent) continue;
+        if (sourceContent && targetContent && sourceContent.equals(targetContent)) continue;
+        const lines = diffLines(sourceContent ? sourceContent.toString('utf8') : '', targetContent ? targetContent.toString('utf8') : '');
+        fileDiffs.push({ fileName, lines });
+    }
+    return fileDiffs;
+}
+
+// A child component is compared by its own element of the parent file (objects/Account.object)
+async function diffChildElement(row, sourceDir, targetDir) {
+    const fileName = row.source.fileName;
+    const read = async dir => {
+        const content = await readOptional(path.join(dir, fileName));
+        return content ? childElement(content.toString('utf8'), row.type, row.fullName) : null;
+    };
+    const sourceText = await read(sourceDir);
+    const targetText = await read(targetDir);
+    if (sourceText === targetText) return [];
+    return [{ fileName: `${fileName} (${CHILD_ELEMENTS[row.type]} ${row.fullName})`, lines: diffLines(sourceText || '', targetText || '') }];
+}
+
+// Retrieve the changed components from both orgs and compare their files; identical ones become 'unchanged'
+async function compareContent(sourceConn, targetConn, changedRows, log) {
+    const manifest = { types: [], version: sourceConn.apiVersion };
+    const typeMap = new Map();
+    changedRows.forEach(row => {
+        if (!typeMap.has(row.type)) typeMap.set(row.type, []);
+        typeMap.get(row.type).push(row.fullName);
+    });
+    typeMap.forEach((members, name) => manifest.types.push({ name, members }));
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sfu-diff-'));
+    const diffs = [];
+    try {
+        const sourceDir = path.join(workDir, 'source');
+        const targetDir = path.join(workDir, 'target');
+        await retrieveMetadata(sourceConn, toPackageXml(manifest), { targetDir: sourceDir, log });
+        await retrieveMetadata(targetConn, toPackageXml(manifest), { targetDir: targetDir, log });
+
+        const retrievedFiles = new Set([...(await listFiles(sourceDir)), ...(await listFiles(targetDir))]);
+        for (const row of changedRows) {
+            const fileDiffs = CHILD_ELEMENTS[row.type]
+                ? await diffChildElement(row, sourceDir, targetDir)
+                : await diffComponentFiles(row, retrievedFiles, sourceDir, targetDir);
+            if (fileDiffs.length === 0) {
+                row.status = 'unchanged';
+                row.detail = 'content identical';
+            } else {
+                row.detail = fileDiffs.map(diff => diff.fileName).join(', ');
+                diffs.push({ type: row.type, fullName: row.fullName, files: fileDiffs });
+            }
+        }
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+    return diffs;
+}
+
+function formatContentDiffs(diffs) {
+    return diffs.map(diff => [
+        `=== ${diff.type} ${diff.fullName} ===`,
+        ...diff.files.map(file => [
+            `--- target/${file.fileName}`,
+            `+++ source/${file.fileName}`,
+            ...(file.lines || ['(files differ; too large to diff line by line)'])
+        ].join('\n'))
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+async function diffOrgs(sourceConn, targetConn, { types, content = false, log = console.log }) {
+    if (!types || types.length === 0) {
+        throw new Error('At least one metadata type is required (--types ApexClass,Flow,...).');
+    }
+    const sourceMembers = await listMembers(sourceConn, types);
+    const targetMembers = await listMembers(targetConn, types);
+    const rows = compareMemberLists(sourceMembers, targetMembers);
+
+    let diffs = [];
+    const changed = rows.filter(row => row.status === 'changed');
+    if (content && changed.length > 0) {
+        diffs = await compareContent(sourceConn, targetConn, changed, log);
+    }
+
+    return {
+        rows: rows.filter(row => row.status !== 'unchanged').map(row => ({
+            type: row.type,
+            fullName: row.fullName,
+            status: row.status,
+            sourceLastModified: row.source ? row.source.lastModifiedDate : '',
+            sourceModifiedBy: row.source ? row.source.lastModifiedByName : '',
+            targetLastModified: row.target ? row.target.lastModifiedDate : '',
+            targetModifiedBy: row.target ? row.target.lastModifiedByName : '',
+            detail: row.detail || ''
+        })),
+        unchangedCount: rows.filter(row => row.status === 'unchanged').length,
+        diffs
+    };
+}
+
+// Delta manifests: added and changed components deploy source -> target, removed ones are destructive
+function deltaManifests(rows, version) {
+    const toManifest = statuses => {
+        const typeMap = new Map();
+        rows.filter(row => statuses.includes(row.status)).forEach(row => {
+            if (!typeMap.has(row.type)) typeMap.set(row.type, []);
+            typeMap.get(row.type).push(row.fullName);
+        });
+        return { types: Array.from(typeMap.entries()).map(([name, members]) => ({ name, members })), version };
+    };
+    return {
+        manifest: toManifest(['added', 'changed']),
+        destructiveManifest: toManifest(['removed'])
+    };
+}
+
+module.exports = {
+    ORG_DIFF_COLUMNS,
+    diffLines,
+    formatContentDiffs,
+    diffOrgs,
+    deltaManifests
+};
@@ -0,0 +1,91 @@
+// lib/orgs.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+function getSfuHome() {
+    return process.env.SFU_HOME || path.join(os.homedir(), '.sfu');
+}
+
+function getOrgsFile() {
+    return path.join(getSfuHome(), 'orgs.json');
+}
+
+async function loadOrgs() {
+    try {
+        const content = await fs.readFile(getOrgsFile(), 'utf8');
+        const store = JSON.parse(content);
+        return { defaultOrg: store.defaultOrg || null, orgs: store.orgs || {} };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { defaultOrg: null, orgs: {} };
+        }
+        throw new Error(`Error reading org profiles from ${getOrgsFile()}: ${error.message}`);
+    }
+}
+
+async function saveOrgs(store) {
+    await fs.mkdir(getSfuHome(), { recursive: true });
+    await fs.writeFile(getOrgsFile(), JSON.stringify(store, null, 2), { mode: 0o600 });
+}
+
+async function addOrg(alias, profile) {
+    if (!/^[\w.-]+$/.test(alias)) {
+        throw new Error(`Invalid alias "${alias}". Use letters, digits, ".", "_" or "-".`);
+    }
+    const store = await loadOrgs();
+    store.orgs[alias] = {
+        auth: profile.auth || { method: 'sfcli' },
+        apiVersion: profile.apiVersion || null,
+        production: Boolean(profile.production)
+    };
+    if (!store.defaultOrg) {
+        store.defaultOrg = alias;
+    }
+    await saveOrgs(store);
+    return store.orgs[alias];
+}
+
+async function removeOrg(alias) {
+    const store = await loadOrgs();
+    if (!store.orgs[alias]) {
+        throw new Error(`Org alias "${alias}" not found.`);
+    }
+    delete store.orgs[alias];
+    if (store.defaultOrg === alias) {
+        store.defaultOrg = null;
+    }
+    await saveOrgs(store);
+}
+
+async function useOrg(alias) {
+    const store = await loadOrgs();
+    if (!store.orgs[alias]) {
+        throw new Error(`Org alias "${alias}" not found.`);
+    }
+    store.defaultOrg = alias;
+    await saveOrgs(store);
+}
+
+// Resolve an alias or raw username to an org profile; falls back to the default org
+async function resolveOrg(aliasOrUsername) {
+    const store = await loadOrgs();
+    const alias = aliasOrUsername || store.defaultOrg;
+    if (alias && store.orgs[alias]) {
+        return { alias, ...store.orgs[alias] };
+    }
+    if (aliasOrUsername) {
+        return { alias: null, auth: { username: aliasOrUsername }, apiVersion: null, production: false };
+    }
+    return null;
+}
+
+module.exports = {
+    getSfuHome,
+    getOrgsFile,
+    loadOrgs,
+    addOrg,
+    removeOrg,
+    useOrg,
+    resolveOrg
+};
@@ -1,21 +1,16 @@
 // lib/rest.js
-const axios = require('axios');
+const { sfRequest } = require('./http');
 
 async function callRestApi(conn, method, relativeUrl, payload) {
     const headers = {
-        'Authorization': `Bearer ${conn.accessToken}`,
         'Content-Type': 'application/json'
     };
 
     let response;
-    if (method === 'GET') {
-        response = await axios.get(`${conn.instanceUrl}${relativeUrl}`, { headers });
-    } else if (method === 'POST') {
-        response = await axios.post(`${conn.instanceUrl}${relativeUrl}`, payload, { headers });
-    } else if (method === 'PATCH') {
-        response = await axios.patch(`${conn.instanceUrl}${relativeUrl}`, payload, { headers });
-    } else if (method === 'DELETE') {
-        response = await axios.delete(`${conn.instanceUrl}${relativeUrl}`, { headers });
+    if (method === 'GET' || method === 'DELETE') {
+        response = await sfRequest(conn, { method, url: relativeUrl, headers });
+    } else if (method === 'POST' || method === 'PATCH') {
+        response = await sfRequest(conn, { method, url: relativeUrl, data: payload, headers });
     }
 
     let allData = [];
@@ -36,7 +31,7 @@ async function callRestApi(conn, method, relativeUrl, payload) {
             allData = records || [];
             while (responseData.nextPageUrl || (responseData.nextRecordsUrl && !responseData.done)) {
                 const nextUrl = responseData.nextPageUrl || responseData.nextRecordsUrl;
-                response = await axios.get(`${conn.instanceUrl}${nextUrl}`, { headers });
+                response = await sfRequest(conn, { url: nextUrl, headers });
                 responseData = response.data;
                 records = responseData[recordsKey] || [];
                 allData = allData.concat(records);
@@ -48,16 +43,6 @@ async function callRestApi(conn, method, relativeUrl, payload) {
         allData = responseData;
     }
 
-    if (method === 'GET' && Array.isArray(allData) && allData.length > 0) {
-        const csvWriter = require('csv-writer').createObjectCsvWriter({
-            path: 'rest_api_results.csv',
-            header: Object.keys(allData[0])
-                .filter(key => key !== 'attributes')
-                .map(key => ({ id: key, title: key }))
-        });
-        await csvWriter.writeRecords(allData);
-    }
-
     return allData;
 }
 
@@ -0,0 +1,90 @@
+// lib/retrieve.js
+// Metadata API retrieve for a package.xml manifest: start the retrieve, poll checkRetrieveStatus
+// and unzip the returned package into a source directory.
+const fs = require('fs').promises;
+const path = require('path');
+const chalk = require('chalk');
+const JSZip = require('jszip');
+const { parsePackageXml } = require('./manifest');
+
+function isDone(result) {
+    return result.done === true || result.done === 'true';
+}
+
+function asArray(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+async function waitForRetrieve(conn, retrieveId, { pollInterval = 5000, maxWait = 30 * 60 * 1000, log = console.log } = {}) {
+    const startTime = Date.now();
+    while (true) {
+        const result = await conn.metadata.checkRetrieveStatus(retrieveId).catch(err => {
+            throw new Error(`Error checking retrieve status: ${err.message}`);
+        });
+        log(chalk.yellow(`Retrieve ${retrieveId}: ${result.status}`));
+        if (isDone(result)) {
+            return result;
+        }
+        if (Date.now() - startTime > maxWait) {
+            throw new Error(`Retrieve ${retrieveId} polling timed out after ${Math.round(maxWait / 60000)} minutes.`);
+        }
+        await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+}
+
+// Write every zip entry under targetDir, refusing entries that would land outside it
+async function extractZip(zipBase64, targetDir) {
+    const zip = await JSZip.loadAsync(Buffer.from(zipBase64, 'base64'));
+    const root = path.resolve(targetDir);
+    const files = [];
+    for (const entry of Object.values(zip.files)) {
+        if (entry.dir) continue;
+        const filePath = path.resolve(root, entry.name);
+        if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+            throw new Error(`Refusing to extract "${entry.name}" outside ${targetDir}.`);
+        }
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, await entry.async('nodebuffer'));
+        files.push(path.relative(root, filePath));
+    }
+    return files;
+}
+
+async function retrieveMetadata(conn, packageXml, { targetDir = 'src', pollInterval, maxWait, log = console.log } = {}) {
+    const manifest = parsePackageXml(packageXml);
+    if (manifest.types.length === 0) {
+        throw new Error('package.xml has no types to retrieve.');
+    }
+
+    // metadata.retrieve returns a locator that is thenable but has no catch()
+    let request;
+    try {
+        request = await conn.metadata.retrieve({
+            apiVersion: manifest.version || conn.apiVersion,
+            singlePackage: true,
+            unpackaged: { types: manifest.types, version: manifest.version || conn.apiVersion }
+        });
+    } catch (err) {
+        throw new Error(`Error starting retrieve: ${err.message}`);
+    }
+    log(chalk.yellow(`Retrieve started: ${request.id}`));
+
+    const result = await waitForRetrieve(conn, request.id, { pollInterval, maxWait, log });
+    if (result.status !== 'Succeeded') {
+        throw new Error(`Retrieve ${request.id} ended in status ${result.status}: ${result.errorMessage || 'no error message'}`);
+    }
+
+    const files = result.zipFile ? await extractZip(result.zipFile, targetDir) : [];
+    return {
+        id: request.id,
+        status: result.status,
+        targetDir,
+        files,
+        messages: asArray(result.messages).map(message => ({ fileName: message.fileName, problem: message.problem }))
+    };
+}
+
+module.exports = {
+    retrieveMetadata
+};
@@ -1,18 +1,83 @@
 // lib/soql.js
-const { createObjectCsvWriter } = require('csv-writer');
+const path = require('path');
 const chalk = require('chalk');
+const { createStreamWriter, exportRecords, defaultOutputPath } = require('./exporter');
+const { createRecordFlattener } = require('./flatten');
 
-async function runSOQLQuery(conn, query, apiChoice, runExplainPlan = false) {
+// `log` receives status messages; it writes to stderr when the results go to stdout
+async function getExplainPlans(conn, query, log = console.log) {
+    try {
+        log(chalk.yellow('Running Explain Plan...'));
+        const explainResult = await conn.requestGet(`/services/data/v${conn.apiVersion}/query/?explain=${encodeURIComponent(query)}`);
+        return Array.isArray(explainResult.plans) ? explainResult.plans : [explainResult];
+    } catch (error) {
+        console.error(chalk.red(`Error running Explain Plan: ${error.message}`));
+        return []; // Ensure empty array to continue execution
+    }
+}
+
+// Child subquery files sit next to the main output: query_results_Contacts.csv
+function childOutputPath(outputFile, name, format) {
+    if (!outputFile) {
+        return defaultOutputPath(`query_results_${name}`, format);
+    }
+    const ext = path.extname(outputFile);
+    return `${outputFile.slice(0, outputFile.length - ext.length)}_${name}${ext}`;
+}
+
+// Writes flattened pages to the main writer (stdout when outputFile is null); in "files" child mode
+// subquery rows go to per-relationship writers that are opened on first use
+function createFlattenedWriter(query, outputFile, format, childMode) {
+    const flattener = createRecordFlattener(query, { childMode });
+    const writer = createStreamWriter(outputFile, format);
+    const childWriters = new Map();
+    let recordCount = 0;
+
+    async function writeRecords(records) {
+        const rows = [];
+        const childRows = {};
+        records.forEach(record => {
+            const { rows: recordRows, children } = flattener.flatten(record);
+            recordRows.forEach(row => rows.push(row));
+            Object.keys(children).forEach(name => {
+                childRows[name] = (childRows[name] || []).concat(children[name]);
+            });
+        });
+        recordCount += records.length;
+        await writer.writeRecords(rows);
+        for (const name of Object.keys(childRows)) {
+            if (childRows[name].length === 0) continue;
+            if (!childWriters.has(name)) {
+                const headers = flattener.childColumns(name).map(column => ({ id: column, title: column }));
+                childWriters.set(name, createStreamWriter(childOutputPath(outputFile, name, format), format, headers));
+            }
+            await childWriters.get(name).writeRecords(childRows[name]);
+        }
+    }
+
+    async function close() {
+        await writer.close();
+        for (const childWriter of childWriters.values()) {
+            await childWriter.close();
+        }
+    }
+
+    return {
+        writeRecords,
+        close,
+        get count() {
+            return recordCount;
+        },
+        get childFiles() {
+            return Array.from(childWriters.values()).map(childWriter => childWriter.filePath);
+        }
+    };
+}
+
+async function runSOQLQuery(conn, query, apiChoice, runExplainPlan = false, { log = console.log } = {}) {
     let explainPlans = null;
     if (runExplainPlan && apiChoice === '1') {
-        try {
-            console.log(chalk.yellow('Running Explain Plan...'));
-            const explainResult = await conn.requestGet(`/services/data/v${conn.apiVersion}/query/?explain=${encodeURIComponent(query)}`);
-            explainPlans = Array.isArray(explainResult.plans) ? explainResult.plans : [explainResult];
-        } catch (error) {
-            console.error(chalk.red(`Error running Explain Plan: ${error.message}`));
-            explainPlans = []; // Ensure empty array to continue execution
-        }
+        explainPlans = await getExplainPlans(conn, query, log);
     }
 
     const startTime = performance.now();
@@ -34,33 +99,64 @@ async function runSOQLQuery(conn, query, apiChoice, runExplainPlan = false) {
     }
     const executionTime = (performance.now() - startTime).toFixed(2);
 
-    if (allRecords.length > 0) {
-        const headers = Object.keys(allRecords[0])
-            .filter(key => key !== 'attributes')
-            .map(key => ({ id: key, title: key.replace(/([A-Z])/g, ' $1').trim() }));
-
-        const flattenedRecords = allRecords.map(record => {
-            const flatRecord = {};
-            Object.keys(record).forEach(key => {
-                if (key !== 'attributes') {
-                    if (typeof record[key] === 'object' && record[key] && 'Name' in record[key]) {
-                        flatRecord[key] = record[key].Name || 'N/A';
-                    } else {
-                        flatRecord[key] = record[key];
-                    }
-                }
-            });
-            return flatRecord;
-        });
+    return { records: allRecords, executionTime, explainPlans };
+}
 
-        const csvWriter = createObjectCsvWriter({
-            path: 'query_results.csv',
-            header: headers
+// Flatten fetched records and export them in any exporter format; child rows in "files" mode
+// are exported alongside the main output
+async function exportQueryResults(query, records, { childMode = 'json', format = 'csv', out, stdout = false } = {}) {
+    const flattener = createRecordFlattener(query, { childMode });
+    const rows = [];
+    const childRows = {};
+    records.forEach(record => {
+        const { rows: recordRows, children } = flattener.flatten(record);
+        recordRows.forEach(row => rows.push(row));
+        Object.keys(children).forEach(name => {
+            childRows[name] = (childRows[name] || []).concat(children[name]);
         });
-        await csvWriter.writeRecords(flattenedRecords);
+    });
+
+    const outputFile = stdout ? null : (out || defaultOutputPath('query_results', format));
+    const destination = await exportRecords(rows, { format, out: outputFile, stdout, columns: flattener.columns, title: 'Query Results' });
+    const childFiles = [];
+    for (const name of Object.keys(childRows)) {
+        if (childRows[name].length === 0) continue;
+        const childFile = childOutputPath(outputFile, name, format);
+        await exportRecords(childRows[name], { format, out: childFile, columns: flattener.childColumns(name), title: name });
+        childFiles.push(childFile);
     }
+    return { outputFile: destination, childFiles };
+}
 
-    return { records: allRecords, executionTime, explainPlans };
+// Streaming variant: each queryMore page is flattened and handed to the writer, then dropped
+async function streamSOQLQuery(conn, query, apiChoice, { format = 'csv', out, stdout = false, onProgress, runExplainPlan = false, childMode = 'json', log = console.log } = {}) {
+    let explainPlans = null;
+    if (runExplainPlan && apiChoice === '1') {
+        explainPlans = await getExplainPlans(conn, query, log);
+    }
+
+    const api = apiChoice === '2' ? conn.tooling : conn;
+    const outputFile = stdout ? null : (out || defaultOutputPath('query_results', format));
+    const writer = createFlattenedWriter(query, outputFile, format, childMode);
+
+    const startTime = performance.now();
+    let totalSize = 0;
+    try {
+        let result = await api.query(query, { autoFetch: false });
+        totalSize = result.totalSize;
+        await writer.writeRecords(result.records || []);
+        if (onProgress) onProgress(writer.count, totalSize);
+        while (!result.done && result.nextRecordsUrl) {
+            result = await api.queryMore(result.nextRecordsUrl);
+            await writer.writeRecords(result.records || []);
+            if (onProgress) onProgress(writer.count, totalSize);
+        }
+    } finally {
+        await writer.close();
+    }
+    const executionTime = (performance.now() - startTime).toFixed(2);
+
+    return { recordCount: writer.count, totalSize, outputFile: outputFile || 'stdout', childFiles: writer.childFiles, executionTime, explainPlans };
 }
 
-module.exports = { runSOQLQuery };
\ No newline at end of file
+module.exports = { runSOQLQuery, exportQueryResults, streamSOQLQuery };
\ No newline at end of file
@@ -0,0 +1,173 @@
+// lib/soqlbuilder.js
+// Escaping and parameter binding for generated SOQL. Values are never interpolated raw:
+// strings are quoted and escaped, dates are validated, and .soql templates use :name placeholders.
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(\.\d{1,3})?(Z|[+-]\d{2}:?\d{2})$/;
+const PARAM_TYPES = ['string', 'number', 'boolean', 'date', 'datetime', 'list', 'null'];
+
+function escapeSoqlString(value) {
+    return String(value).replace(/[\\'"\n\r\t\b\f]/g, char => ({
+        '\\': '\\\\',
+        '\'': '\\\'',
+        '"': '\\"',
+        '\n': '\\n',
+        '\r': '\\r',
+        '\t': '\\t',
+        '\b': '\\b',
+        '\f': '\\f'
+    })[char]);
+}
+
+function isValidCalendarDate(year, month, day) {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    return date.getUTCFullYear() === Number(year) && date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day);
+}
+
+// A pre-validated literal that is inserted without quoting
+function literal(text) {
+    return Object.freeze({ soqlLiteral: String(text) });
+}
+
+function dateLiteral(value) {
+    const match = DATE_PATTERN.exec(String(value).trim());
+    if (!match || !isValidCalendarDate(match[1], match[2], match[3])) {
+        throw new Error(`Invalid date "${value}". Expected YYYY-MM-DD.`);
+    }
+    return literal(match[0]);
+}
+
+function dateTimeLiteral(value) {
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) throw new Error('Invalid datetime: Invalid Date.');
+        return literal(value.toISOString().replace(/\.\d{3}Z$/, 'Z'));
+    }
+    const text = String(value).trim();
+    const match = DATETIME_PATTERN.exec(text);
+    if (!match || !isValidCalendarDate(match[1], match[2], match[3]) ||
+        Number(match[4]) > 23 || Number(match[5]) > 59 || Number(match[6]) > 59) {
+        throw new Error(`Invalid datetime "${value}". Expected YYYY-MM-DDThh:mm:ssZ or an offset such as +05:30.`);
+    }
+    return literal(text);
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined) return 'null';
+    if (value && typeof value === 'object' && 'soqlLiteral' in value) return value.soqlLiteral;
+    if (value instanceof Date) return dateTimeLiteral(value).soqlLiteral;
+    if (Array.isArray(value)) {
+        if (value.length === 0) throw new Error('Cannot bind an empty list in SOQL.');
+        return `(${value.map(formatValue).join(', ')})`;
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) throw new Error(`Invalid number "${value}".`);
+        return String(value);
+    }
+    if (typeof value === 'boolean') return value ? 'true' : 'false';
+    return `'${escapeSoqlString(value)}'`;
+}
+
+// Tagged template: soql`SELECT Id FROM User WHERE Username = ${username}`
+function soql(strings, ...values) {
+    return strings.reduce((query, part, index) => query + part + (index < values.length ? formatValue(values[index]) : ''), '');
+}
+
+// Visit text outside quoted string literals; `visit` returns the replacement for each unquoted chunk
+function mapUnquoted(query, visit) {
+    let output = '';
+    let chunk = '';
+    for (let i = 0; i < query.length; i++) {
+        const char = query[i];
+        if (char === '\'') {
+            output += visit(chunk);
+            chunk = '';
+            let end = i + 1;
+            while (end < query.length && query[end] !== '\'') {
+                end += query[end] === '\\' ? 2 : 1;
+            }
+            output += query.slice(i, end + 1);
+            i = end;
+        } else {
+            chunk += char;
+        }
+    }
+    return output + visit(chunk);
+}
+
+const PLACEHOLDER_PATTERN = /(^|[^\w:]):([A-Za-z_]\w*)/g;
+
+function findPlaceholders(query) {
+    const names = new Set();
+    mapUnquoted(query, chunk => {
+        chunk.replace(PLACEHOLDER_PATTERN, (match, prefix, name) => names.add(name));
+        return chunk;
+    });
+    return Array.from(names);
+}
+
+// Replace :name placeholders (outside string literals) with escaped values from params
+function bindParams(query, params = {}) {
+    const missing = findPlaceholders(query).filter(name => !(name in params));
+    if (missing.length > 0) {
+        throw new Error(`Missing SOQL parameter(s): ${missing.join(', ')}. Pass them with --param name=value.`);
+    }
+    return mapUnquoted(query, chunk =>
+        chunk.replace(PLACEHOLDER_PATTERN, (match, prefix, name) => prefix + formatValue(params[name]))
+    );
+}
+
+function convertParamValue(value, type) {
+    switch (type) {
+        case 'string':
+            return value;
+        case 'number': {
+            const number = Number(value);
+            if (value.trim() === '' || !Number.isFinite(number)) throw new Error(`Invalid number "${value}".`);
+            return number;
+        }
+        case 'boolean':
+            if (!/^(true|false)$/i.test(value)) throw new Error(`Invalid boolean "${value}". Use true or false.`);
+            return value.toLowerCase() === 'true';
+        case 'date':
+            return dateLiteral(value);
+        case 'datetime':
+            return dateTimeLiteral(value);
+        case 'list':
+            return value.split(',').map(item => item.trim()).filter(Boolean);
+        case 'null':
+            return null;
+        default:
+            throw new Error(`Unknown parameter type "${type}". Use one of: ${PARAM_TYPES.join(', ')}.`);
+    }
+}
+
+// Parse CLI params: "name=value" binds a string, "name:type=value" a typed value (e.g. since:date=2025-01-01)
+function parseParamArgs(args = []) {
+    const params = {};
+    args.forEach(arg => {
+        const match = /^([A-Za-z_]\w*)(?::(\w+))?=(.*)$/s.exec(arg);
+        if (!match) {
+            throw new Error(`Invalid parameter "${arg}". Use name=value or name:type=value.`);
+        }
+        const [, name, type = 'string', value] = match;
+        try {
+            params[name] = convertParamValue(value, type.toLowerCase());
+        } catch (error) {
+            throw new Error(`Parameter "${name}": ${error.message}`);
+        }
+    });
+    return params;
+}
+
+module.exports = {
+    PARAM_TYPES,
+    escapeSoqlString,
+    literal,
+    dateLiteral,
+    dateTimeLiteral,
+    formatValue,
+    soql,
+    findPlaceholders,
+    bindParams,
+    parseParamArgs
+};
@@ -1,8 +1,93 @@
 // lib/track.js
-const { createObjectCsvWriter } = require('csv-writer');
-const { getUserIdFromUsername, generatePackageXml } = require('./utils');
+const fs = require('fs').promises;
+const path = require('path');
+const { getUserIdFromUsername } = require('./utils');
+const { getSfuHome } = require('./orgs');
+const { manifestFromSourceMembers, writeManifests } = require('./manifest');
+const { soql, dateLiteral, dateTimeLiteral } = require('./soqlbuilder');
 
-async function trackChanges(conn, sinceDate, lastModifiedByUsername) {
+const TRACKED_CHANGE_COLUMNS = [
+    { id: 'Id', title: 'Id' },
+    { id: 'LastModifiedByName', title: 'Last Modified By Name' },
+    { id: 'MemberIdOrName', title: 'Member Id or Name' },
+    { id: 'MemberType', title: 'Member Type' },
+    { id: 'MemberName', title: 'Member Name' },
+    { id: 'RevisionNum', title: 'Revision Number' },
+    { id: 'RevisionCounter', title: 'Revision Counter' },
+    { id: 'IsNameObsolete', title: 'Is Name Obsolete' },
+    { id: 'LastModifiedById', title: 'Last Modified By Id' },
+    { id: 'IsNewMember', title: 'Is New Member' },
+    { id: 'ChangedBy', title: 'Changed By' }
+];
+
+function toTrackedChangeRows(records) {
+    return records.map(record => ({
+        Id: record.Id,
+        LastModifiedByName: record.LastModifiedBy && record.LastModifiedBy.Name ? record.LastModifiedBy.Name : 'N/A',
+        MemberIdOrName: record.MemberIdOrName,
+        MemberType: record.MemberType,
+        MemberName: record.MemberName,
+        RevisionNum: record.RevisionNum,
+        RevisionCounter: record.RevisionCounter,
+        IsNameObsolete: record.IsNameObsolete,
+        LastModifiedById: record.LastModifiedById,
+        IsNewMember: record.IsNewMember,
+        ChangedBy: record.ChangedBy
+    }));
+}
+
+// Incremental tracking keeps the highest RevisionCounter seen per org id in ~/.sfu/track-state.json.
+// Keyed by org id rather than alias, since a sandbox refresh resets its RevisionCounter and changes its id.
+function getTrackStateFile() {
+    return path.join(getSfuHome(), 'track-state.json');
+}
+
+async function loadTrackState() {
+    try {
+        const content = await fs.readFile(getTrackStateFile(), 'utf8');
+        const state = JSON.parse(content);
+        return { orgs: state.orgs || {} };
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { orgs: {} };
+        }
+        throw new Error(`Error reading track state from ${getTrackStateFile()}: ${error.message}`);
+    }
+}
+
+async function saveTrackState(state) {
+    await fs.mkdir(getSfuHome(), { recursive: true });
+    await fs.writeFile(getTrackStateFile(), JSON.stringify(state, null, 2));
+}
+
+async function getOrgId(conn) {
+    const userInfo = await conn.requestGet('/services/oauth2/userinfo');
+    return userInfo.organization_id;
+}
+
+async function getWatermark(orgId) {
+    const state = await loadTrackState();
+    return state.orgs[orgId] || null;
+}
+
+async function setWatermark(orgId, revisionCounter, details = {}) {
+    const state = await loadTrackState();
+    state.orgs[orgId] = { ...details, revisionCounter, updatedAt: new Date().toISOString() };
+    await saveTrackState(state);
+    return state.orgs[orgId];
+}
+
+async function resetWatermark(orgId) {
+    const state = await loadTrackState();
+    delete state.orgs[orgId];
+    await saveTrackState(state);
+}
+
+function maxRevisionCounter(records) {
+    return records.reduce((max, record) => Math.max(max, Number(record.RevisionCounter) || 0), 0);
+}
+
+async function trackChanges(conn, sinceDate, lastModifiedByUsername, { sinceRevision } = {}) {
     let query = `
         SELECT
             Id,
@@ -21,12 +106,20 @@ async function trackChanges(conn, sinceDate, lastModifiedByUsername) {
     const conditions = [];
 
     if (sinceDate) {
-        conditions.push(`LastModifiedDate >= ${sinceDate}T00:00:00Z`);
+        const since = dateTimeLiteral(`${dateLiteral(sinceDate).soqlLiteral}T00:00:00Z`);
+        conditions.push(soql`LastModifiedDate >= ${since}`);
+    }
+
+    if (sinceRevision !== undefined && sinceRevision !== null) {
+        if (!/^\d+$/.test(String(sinceRevision))) {
+            throw new Error(`Invalid revision "${sinceRevision}". Expected a non-negative integer.`);
+        }
+        conditions.push(soql`RevisionCounter > ${Number(sinceRevision)}`);
     }
 
     if (lastModifiedByUsername) {
         const lastModifiedById = await getUserIdFromUsername(conn, lastModifiedByUsername);
-        conditions.push(`LastModifiedById = '${lastModifiedById}'`);
+        conditions.push(soql`LastModifiedById = ${lastModifiedById}`);
     }
 
     if (conditions.length > 0) {
@@ -43,45 +136,20 @@ async function trackChanges(conn, sinceDate, lastModifiedByUsername) {
     }
 
     if (allRecords.length > 0) {
-        const csvWriter = createObjectCsvWriter({
-            path: 'tracked_changes.csv',
-            header: [
-                { id: 'Id', title: 'Id' },
-                { id: 'LastModifiedByName', title: 'Last Modified By Name' },
-                { id: 'MemberIdOrName', title: 'Member Id or Name' },
-                { id: 'MemberType', title: 'Member Type' },
-                { id: 'MemberName', title: 'Member Name' },
-                { id: 'RevisionNum', title: 'Revision Number' },
-                { id: 'RevisionCounter', title: 'Revision Counter' },
-                { id: 'IsNameObsolete', title: 'Is Name Obsolete' },
-                { id: 'LastModifiedById', title: 'Last Modified By Id' },
-                { id: 'IsNewMember', title: 'Is New Member' },
-                { id: 'ChangedBy', title: 'Changed By' }
-            ]
-        });
-
-        const flattenedRecords = allRecords.map(record => ({
-            Id: record.Id,
-            LastModifiedByName: record.LastModifiedBy && record.LastModifiedBy.Name ? record.LastModifiedBy.Name : 'N/A',
-            MemberIdOrName: record.MemberIdOrName,
-            MemberType: record.MemberType,
-            MemberName: record.MemberName,
-            RevisionNum: record.RevisionNum,
-            RevisionCounter: record.RevisionCounter,
-            IsNameObsolete: record.IsNameObsolete,
-            LastModifiedById: record.LastModifiedById,
-            IsNewMember: record.IsNewMember,
-            ChangedBy: record.ChangedBy
-        }));
-
-        await csvWriter.writeRecords(flattenedRecords);
-
-        const packageXml = generatePackageXml(allRecords);
-        console.log('DEBUG: Generated package.xml:', packageXml);
-        await require('fs').promises.writeFile('package.xml', packageXml);
+        await writeManifests('.', manifestFromSourceMembers(allRecords, conn.apiVersion));
     }
 
     return allRecords;
 }
 
-module.exports = { trackChanges };
\ No newline at end of file
+module.exports = {
+    TRACKED_CHANGE_COLUMNS,
+    toTrackedChangeRows,
+    getTrackStateFile,
+    getOrgId,
+    getWatermark,
+    setWatermark,
+    resetWatermark,
+    maxRevisionCounter,
+    trackChanges
+};
\ No newline at end of file
@@ -1,37 +1,32 @@
 // lib/utils.js
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { soql } = require('./soqlbuilder');
+
 async function getUserIdFromUsername(conn, username) {
-    const result = await conn.query(`SELECT Id FROM User WHERE Username = '${username}' LIMIT 1`);
+    const result = await conn.query(soql`SELECT Id FROM User WHERE Username = ${username} LIMIT 1`);
     if (result.records.length === 0) {
         throw new Error(`User with username "${username}" not found.`);
     }
     return result.records[0].Id;
 }
 
-function generatePackageXml(records) {
-    const typesMap = new Map();
-    records.forEach(record => {
-        if (!typesMap.has(record.MemberType)) {
-            typesMap.set(record.MemberType, []);
-        }
-        typesMap.get(record.MemberType).push(record.MemberName);
+// Mapping and plan files: YAML for .yaml/.yml, JSON otherwise
+async function readConfigFile(filePath) {
+    const text = await fs.readFile(filePath, 'utf8').catch(err => {
+        throw new Error(`Cannot read ${filePath}: ${err.message}`);
     });
-
-    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
-    xml += '<Package xmlns="http://soap.sforce.com/2006/04/metadata">\n';
-    for (const [type, members] of typesMap) {
-        xml += '    <types>\n';
-        members.forEach(member => {
-            xml += `        <members>${member}</members>\n`;
-        });
-        xml += `        <name>${type}</name>\n`;
-        xml += '    </types>\n';
+    const extension = path.extname(filePath).toLowerCase();
+    try {
+        const content = text.replace(/^\uFEFF/, '');
+        return extension === '.yaml' || extension === '.yml' ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid file ${filePath}: ${error.message}`);
     }
-    xml += '    <version>59.0</version>\n';
-    xml += '</Package>';
-    return xml;
 }
 
 module.exports = {
     getUserIdFromUsername,
-    generatePackageXml
+    readConfigFile
 };
\ No newline at end of file
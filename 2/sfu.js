@@ -4,37 +4,160 @@
 // CLI for Salesforce utilities using commander.js
 
 const { Command } = require('commander');
+const readline = require('readline');
 const fs = require('fs').promises;
 const chalk = require('chalk');
 const {
-    getSalesforceCredentials,
+    AUTH_METHODS,
+    getCredentials,
+    resolveAuthConfig,
     initializeConnection
 } = require('./lib/auth');
-const { runSOQLQuery } = require('./lib/soql');
+const { runSOQLQuery, exportQueryResults, streamSOQLQuery } = require('./lib/soql');
+const { runBulkQuery } = require('./lib/bulkquery');
+const {
+    FORMATS,
+    STREAM_FORMATS,
+    defaultOutputPath,
+    formatRecords,
+    exportRecords
+} = require('./lib/exporter');
+const { CHILD_MODES } = require('./lib/flatten');
+const { PARAM_TYPES, bindParams, parseParamArgs } = require('./lib/soqlbuilder');
 const { callRestApi } = require('./lib/rest');
-const { trackChanges } = require('./lib/track');
-const { runBulkApiJob } = require('./lib/bulk');
-const { runApex } = require('./lib/apex');
+const {
+    TRACKED_CHANGE_COLUMNS,
+    toTrackedChangeRows,
+    getTrackStateFile,
+    getOrgId,
+    getWatermark,
+    setWatermark,
+    resetWatermark,
+    maxRevisionCounter,
+    trackChanges
+} = require('./lib/track');
+const { AUDIT_COLUMNS, AUDIT_GROUP_COLUMNS, toAuditRows, groupAuditRows, auditTrail } = require('./lib/audit');
+const { retrieveMetadata } = require('./lib/retrieve');
+const { ORG_DIFF_COLUMNS, formatContentDiffs, diffOrgs, deltaManifests } = require('./lib/orgdiff');
+const {
+    toPackageXml,
+    manifestFromSourceMembers,
+    mergeManifests,
+    subtractManifests,
+    diffManifests,
+    countMembers,
+    readManifest,
+    writeManifests
+} = require('./lib/manifest');
+const { TEST_LEVELS, deployMetadata, quickDeploy } = require('./lib/deploy');
+const { INGEST_OPERATIONS, runBulkApiJob, validateBulkFile } = require('./lib/bulk');
+const { VALIDATION_COLUMNS } = require('./lib/bulkvalidate');
+const {
+    JOB_TYPES,
+    JOB_LIST_COLUMNS,
+    listJobs,
+    getJobStatus,
+    abortJob,
+    deleteJob,
+    downloadJobResults
+} = require('./lib/bulkjobs');
+const { retryFailedRecords } = require('./lib/bulkretry');
+const { rollbackBulkJob } = require('./lib/bulkrollback');
+const { ERROR_SUMMARY_COLUMNS } = require('./lib/bulkreport');
+const { loadMapping } = require('./lib/mapping');
+const { COLUMN_DELIMITERS, LINE_ENDINGS, resolveCsvFormat } = require('./lib/csvchunker');
+const { MIGRATION_COLUMNS, loadPlan, migrateRecords } = require('./lib/migrate');
+const { LOG_LEVELS, runApex } = require('./lib/apex');
+const { runApexTests } = require('./lib/apextest');
+const {
+    getOrgsFile,
+    loadOrgs,
+    addOrg,
+    removeOrg,
+    useOrg,
+    resolveOrg
+} = require('./lib/orgs');
 
+// Legacy single-org file, still read when no org profile is configured
 const LAST_USERNAME_FILE = 'last_username.txt';
 
+// Shared --format/--out/--stdout options for commands that export results
+function addOutputOptions(command, defaultFormat, baseName) {
+    return command
+        .option('--format <format>', `Output format (${FORMATS.join(', ')})`, defaultFormat)
+        .option('--out <path>', `Output file (default: ${baseName}.<ext>)`)
+        .option('--stdout', 'Write results to stdout for piping (status messages go to stderr)');
+}
+
+// Commander option parser for repeatable options
+function collect(value, previous) {
+    return previous.concat([value]);
+}
+
+// With --stdout the results own stdout, so status messages go to stderr
+function statusLogger(toStdout) {
+    return toStdout ? console.error : console.log;
+}
+
+function validateFormat(format, allowed) {
+    if (!allowed.includes(format)) {
+        console.error(chalk.red(`Error: Format must be one of: ${allowed.join(', ')}.`));
+        process.exit(1);
+    }
+}
+
+// Hard-deleted records skip the Recycle Bin, so the operation name has to be typed back
+async function confirmHardDelete(sObject) {
+    if (!process.stdin.isTTY) {
+        throw new Error('HardDelete needs --confirm-hard-delete when not run interactively.');
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const answer = await new Promise(resolve => {
+        rl.question(chalk.red(`Hard-deleted ${sObject} records cannot be recovered from the Recycle Bin. Type hardDelete to continue: `), resolve);
+    });
+    rl.close();
+    return answer.trim() === 'hardDelete';
+}
+
 async function main() {
     const program = new Command();
 
     program
         .name('sfu')
-        .description('Salesforce Utility CLI for SOQL queries, REST API, change tracking, Bulk API, and Apex execution')
+        .description('Salesforce Utility CLI for SOQL queries, REST API, change tracking, Setup Audit Trail, metadata deploy, Bulk API, Apex execution and Apex tests')
         .version('1.0.0');
 
     // Command: sfu query
-    program
+    const queryCommand = program
         .command('query')
         .description('Run a SOQL query')
         .option('-q, --query <query>', 'SOQL query string')
         .option('-f, --file <queryfile>', 'Path to .soql file containing the query')
         .option('-t, --tooling', 'Use Tooling API')
         .option('-p, --plan', 'Run Explain Plan (Standard API only)')
+        .option('-s, --stream', 'Stream pages straight to the output file instead of holding results in memory')
+        .option('-b, --bulk', 'Run as a Bulk API 2.0 query job (streams results to the output file)')
+        .option('--all', 'Include deleted and archived records (Bulk API queryAll)')
+        .option('--max-records <n>', 'Records per Bulk API result page', '50000')
+        .option('-c, --children <mode>', `Child subquery output (${CHILD_MODES.join(', ')})`, 'json')
+        .option('--param <name=value>', `Bind a :name placeholder; use name:type=value for ${PARAM_TYPES.filter(type => type !== 'string').join(', ')} (repeatable)`, collect, []);
+    addOutputOptions(queryCommand, 'csv', 'query_results')
         .action(async (options) => {
+            const log = statusLogger(options.stdout);
+            if (!CHILD_MODES.includes(options.children)) {
+                console.error(chalk.red(`Error: Children mode must be one of: ${CHILD_MODES.join(', ')}.`));
+                process.exit(1);
+            }
+            validateFormat(options.format, options.stream || options.bulk ? STREAM_FORMATS : FORMATS);
+            if (options.bulk && (options.tooling || options.plan)) {
+                console.error(chalk.red('Error: --bulk cannot be combined with --tooling or --plan.'));
+                process.exit(1);
+            }
+            if (options.all && !options.bulk) {
+                console.error(chalk.red('Error: --all is only supported with --bulk.'));
+                process.exit(1);
+            }
+
             if (!options.query && !options.file) {
                 console.error(chalk.red('Error: Either --query or --file is required.'));
                 process.exit(1);
@@ -59,35 +182,76 @@ async function main() {
             }
 
             try {
-                const conn = await initializeConn();
+                query = bindParams(query, parseParamArgs(options.param));
+            } catch (error) {
+                console.error(chalk.red(`Error binding SOQL parameters: ${error.message}`));
+                process.exit(1);
+            }
+
+            try {
+                const conn = await initializeConn(undefined, { log });
                 const apiChoice = options.tooling ? '2' : '1';
                 const runExplainPlan = options.plan && !options.tooling;
-                const { records, executionTime, explainPlans } = await runSOQLQuery(conn, query, apiChoice, runExplainPlan);
 
-                if (runExplainPlan && explainPlans) {
-                    console.log(chalk.blue('\n=== Explain Plan Results ==='));
-                    explainPlans.forEach((plan, index) => {
-                        console.log(chalk.blue(`Plan ${index + 1}:`));
-                        console.log(JSON.stringify({
-                            Cardinality: plan.cardinality || 'N/A',
-                            Fields: plan.fields || [],
-                            LeadingOperationType: plan.leadingOperationType || 'N/A',
-                            RelativeCost: plan.relativeCost || 'N/A',
-                            SObject: plan.sobjectType || 'N/A',
-                            Notes: plan.notes || []
-                        }, null, 2));
+                if (options.bulk) {
+                    const { jobId, recordCount, outputFile, executionTime } = await runBulkQuery(conn, query, {
+                        operation: options.all ? 'queryAll' : 'query',
+                        format: options.format,
+                        out: options.out,
+                        stdout: options.stdout,
+                        maxRecords: parseInt(options.maxRecords, 10),
+                        log,
+                        onProgress: count => process.stderr.write(chalk.yellow(`\rRecords written: ${count}`))
                     });
+                    process.stderr.write('\n');
+                    log(chalk.green(`Bulk query job ${jobId} completed in ${executionTime} ms`));
+                    log(chalk.magenta(`${recordCount} records exported to ${outputFile}`));
+                    return;
+                }
+
+                if (options.stream) {
+                    const { recordCount, outputFile, childFiles, executionTime, explainPlans } = await streamSOQLQuery(conn, query, apiChoice, {
+                        format: options.format,
+                        out: options.out,
+                        stdout: options.stdout,
+                        runExplainPlan,
+                        childMode: options.children,
+                        log,
+                        onProgress: (count, total) => process.stderr.write(chalk.yellow(`\rRecords written: ${count}/${total}`))
+                    });
+                    process.stderr.write('\n');
+                    if (runExplainPlan && explainPlans) {
+                        printExplainPlans(explainPlans, log);
+                    }
+                    log(chalk.green(`Query execution time: ${executionTime} ms`));
+                    log(chalk.magenta(`${recordCount} records exported to ${outputFile}`));
+                    childFiles.forEach(file => log(chalk.magenta(`Child records exported to ${file}`)));
+                    return;
                 }
 
-                console.log(chalk.blue('\n=== Query Results (JSON) ==='));
-                console.log(JSON.stringify(records, null, 2));
-                console.log(chalk.green(`Query execution time: ${executionTime} ms`));
+                const { records, executionTime, explainPlans } = await runSOQLQuery(conn, query, apiChoice, runExplainPlan, { log });
+
+                if (runExplainPlan && explainPlans) {
+                    printExplainPlans(explainPlans, log);
+                }
+
+                if (!options.stdout) {
+                    log(chalk.blue('\n=== Query Results (JSON) ==='));
+                    log(JSON.stringify(records, null, 2));
+                }
+                log(chalk.green(`Query execution time: ${executionTime} ms`));
 
                 if (records.length > 0) {
-                    await fs.writeFile('query_results.csv', convertToCSV(records));
-                    console.log(chalk.magenta('Results exported to query_results.csv'));
+                    const { outputFile, childFiles } = await exportQueryResults(query, records, {
+                        childMode: options.children,
+                        format: options.format,
+                        out: options.out,
+                        stdout: options.stdout
+                    });
+                    log(chalk.magenta(`Results exported to ${outputFile}`));
+                    childFiles.forEach(file => log(chalk.magenta(`Child records exported to ${file}`)));
                 } else {
-                    console.log(chalk.yellow('No records to export.'));
+                    log(chalk.yellow('No records to export.'));
                 }
             } catch (error) {
                 console.error(chalk.red(`Error in SOQL query: ${error.message}`));
@@ -96,13 +260,16 @@ async function main() {
         });
 
     // Command: sfu rest
-    program
+    const restCommand = program
         .command('rest')
         .description('Call a custom REST API')
         .requiredOption('-m, --method <method>', 'HTTP method (GET, POST, PATCH, DELETE)')
         .option('-p, --payload <payload>', 'Path to JSON payload file (for POST/PATCH)')
-        .requiredOption('-r, --resource <resource>', 'Relative REST API URL (e.g., /services/data/v60.0/sobjects/Account/describe)')
+        .requiredOption('-r, --resource <resource>', 'Relative REST API URL (e.g., /services/data/v60.0/sobjects/Account/describe)');
+    addOutputOptions(restCommand, 'json', 'rest_api_response')
         .action(async (options) => {
+            const log = statusLogger(options.stdout);
+            validateFormat(options.format, FORMATS);
             const method = options.method.toUpperCase();
             if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(method)) {
                 console.error(chalk.red('Error: Method must be GET, POST, PATCH, or DELETE.'));
@@ -124,19 +291,21 @@ async function main() {
             }
 
             try {
-                const conn = await initializeConn();
+                const conn = await initializeConn(undefined, { log });
                 const responseData = await callRestApi(conn, method, options.resource, payload);
 
-                console.log(chalk.blue('\n=== REST API Response (JSON) ==='));
-                console.log(JSON.stringify(responseData, null, 2));
-
-                await fs.writeFile('rest_api_response.json', JSON.stringify(responseData, null, 2));
-                console.log(chalk.magenta('Response exported to rest_api_response.json'));
-
-                if (method === 'GET' && Array.isArray(responseData)) {
-                    await fs.writeFile('rest_api_results.csv', convertToCSV(responseData));
-                    console.log(chalk.magenta('Results exported to rest_api_results.csv'));
+                if (!options.stdout) {
+                    log(chalk.blue('\n=== REST API Response (JSON) ==='));
+                    log(JSON.stringify(responseData, null, 2));
                 }
+
+                const outputFile = await exportRecords(responseData, {
+                    format: options.format,
+                    out: options.out || defaultOutputPath('rest_api_response', options.format),
+                    stdout: options.stdout,
+                    title: options.resource
+                });
+                log(chalk.magenta(`Response exported to ${outputFile}`));
             } catch (error) {
                 console.error(chalk.red(`Error calling REST API: ${error.message}`));
                 process.exit(1);
@@ -144,56 +313,392 @@ async function main() {
         });
 
     // Command: sfu track
-    program
+    const trackCommand = program
         .command('track')
         .description('Track changes (SourceMember)')
         .option('-d, --date <date>', 'Date to track changes since (YYYY-MM-DD)')
         .option('-u, --user <user>', 'Username of the last modified user')
+        .option('-r, --retrieve', 'Retrieve the changed metadata with the Metadata API')
+        .option('--source-dir <dir>', 'Directory to unzip retrieved metadata into', 'src')
+        .option('-i, --incremental', 'Only changes after the RevisionCounter stored by the last incremental run')
+        .option('--reset', 'Ignore the stored RevisionCounter and replace it once the run succeeds (implies --incremental)')
+        .option('--since-revision <revision>', 'Only changes after this RevisionCounter (implies --incremental)');
+    addOutputOptions(trackCommand, 'csv', 'tracked_changes')
         .action(async (options) => {
+            const log = statusLogger(options.stdout);
+            validateFormat(options.format, FORMATS);
+            const incremental = options.incremental || options.reset || options.sinceRevision !== undefined;
             try {
-                const conn = await initializeConn();
-                const records = await trackChanges(conn, options.date, options.user);
+                // The watermark is org-wide: a run filtered by user or date would skip other changes below it
+                if (incremental && (options.user || options.date)) {
+                    throw new Error('--user and --date cannot be combined with --incremental, --reset or --since-revision.');
+                }
+                const conn = await initializeConn(undefined, { log });
+
+                let orgId = null;
+                let sinceRevision;
+                if (incremental) {
+                    orgId = await getOrgId(conn);
+                    // With --reset the stored watermark is ignored now and only replaced once the run succeeded
+                    const watermark = options.reset ? null : await getWatermark(orgId);
+                    sinceRevision = options.sinceRevision !== undefined
+                        ? options.sinceRevision
+                        : watermark ? watermark.revisionCounter : undefined;
+                    log(chalk.yellow(sinceRevision !== undefined
+                        ? `Tracking changes after RevisionCounter ${sinceRevision}`
+                        : 'No stored RevisionCounter for this org; tracking all changes'));
+                }
+
+                const records = await trackChanges(conn, options.date, options.user, { sinceRevision });
 
                 if (records.length === 0) {
-                    console.log(chalk.yellow('No changes found matching the criteria.'));
+                    log(chalk.yellow('No changes found matching the criteria.'));
+                    if (options.reset) {
+                        await resetWatermark(orgId);
+                        log(chalk.yellow(`Cleared the stored RevisionCounter for org ${orgId}.`));
+                    }
                     return;
                 }
 
-                console.log(chalk.blue('\n=== Tracked Changes (JSON) ==='));
-                console.log(JSON.stringify(records, null, 2));
+                if (!options.stdout) {
+                    log(chalk.blue('\n=== Tracked Changes (JSON) ==='));
+                    log(JSON.stringify(records, null, 2));
+                }
 
-                await fs.writeFile('tracked_changes.csv', convertToCSV(records));
-                console.log(chalk.magenta('Results exported to tracked_changes.csv'));
+                const outputFile = await exportRecords(toTrackedChangeRows(records), {
+                    format: options.format,
+                    out: options.out || defaultOutputPath('tracked_changes', options.format),
+                    stdout: options.stdout,
+                    columns: TRACKED_CHANGE_COLUMNS,
+                    title: 'Tracked Changes'
+                });
+                log(chalk.magenta(`Results exported to ${outputFile}`));
+
+                if (options.retrieve) {
+                    // Deleted components go to destructiveChanges.xml and cannot be retrieved
+                    const { manifest } = manifestFromSourceMembers(records, conn.apiVersion);
+                    if (countMembers(manifest) === 0) {
+                        log(chalk.yellow('No retrievable changes (all tracked members are deleted).'));
+                    } else {
+                        const retrieveResult = await retrieveMetadata(conn, toPackageXml(manifest), { targetDir: options.sourceDir, log });
+                        retrieveResult.messages.forEach(message => {
+                            log(chalk.yellow(`Warning: ${message.fileName}: ${message.problem}`));
+                        });
+                        log(chalk.magenta(`Retrieved ${retrieveResult.files.length} file(s) into ${retrieveResult.targetDir}`));
+                    }
+                }
+
+                // The watermark only moves once the export (and retrieve) succeeded, so a failed run can be repeated
+                if (incremental) {
+                    const revisionCounter = maxRevisionCounter(records);
+                    await setWatermark(orgId, revisionCounter, { instanceUrl: conn.instanceUrl });
+                    log(chalk.magenta(`Stored RevisionCounter ${revisionCounter} in ${getTrackStateFile()}`));
+                }
             } catch (error) {
                 console.error(chalk.red(`Error tracking changes: ${error.message}`));
                 process.exit(1);
             }
         });
 
-    // Command: sfu bulk
+    // Command: sfu audit
+    const auditCommand = program
+        .command('audit')
+        .description('Show Setup Audit Trail changes (works in production orgs)')
+        .option('-d, --date <date>', 'Date to show changes since (YYYY-MM-DD)')
+        .option('--until <date>', 'Date to show changes until, inclusive (YYYY-MM-DD)')
+        .option('--user <username>', 'Username of the user who made the change')
+        .option('--section <section>', 'Setup section, e.g. "Manage Users" (repeatable)', collect, [])
+        .option('--action <action>', 'Action name, e.g. "changedprofileforuser" (repeatable)', collect, [])
+        .option('-g, --grouped', 'Export the per user and section summary instead of every change');
+    addOutputOptions(auditCommand, 'csv', 'audit_trail')
+        .action(async (options) => {
+            const log = statusLogger(options.stdout);
+            validateFormat(options.format, FORMATS);
+            try {
+                const conn = await initializeConn(undefined, { log });
+                const records = await auditTrail(conn, {
+                    sinceDate: options.date,
+                    untilDate: options.until,
+                    username: options.user,
+                    sections: options.section,
+                    actions: options.action
+                });
+
+                if (records.length === 0) {
+                    log(chalk.yellow('No audit trail entries found matching the criteria.'));
+                    return;
+                }
+
+                const rows = toAuditRows(records);
+                const groups = groupAuditRows(rows);
+                if (!options.stdout) {
+                    log(chalk.blue(`\n=== Setup Audit Trail: ${rows.length} change(s) by user and section ===`));
+                    log(await formatRecords(groups, 'table', { columns: AUDIT_GROUP_COLUMNS }));
+                }
+
+                const outputFile = await exportRecords(options.grouped ? groups : rows, {
+                    format: options.format,
+                    out: options.out || defaultOutputPath('audit_trail', options.format),
+                    stdout: options.stdout,
+                    columns: options.grouped ? AUDIT_GROUP_COLUMNS : AUDIT_COLUMNS,
+                    title: 'Setup Audit Trail'
+                });
+                log(chalk.magenta(`Results exported to ${outputFile}`));
+            } catch (error) {
+                console.error(chalk.red(`Error reading Setup Audit Trail: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Command: sfu deploy
+    program
+        .command('deploy')
+        .description('Deploy or validate metadata from a package.xml and source directory')
+        .option('-m, --manifest <file>', 'Path to package.xml', 'package.xml')
+        .option('-s, --source <dir>', 'Metadata API format source directory', 'src')
+        .option('-c, --check-only', 'Validate only (checkOnly deploy)')
+        .option('-l, --test-level <level>', `Test level (${TEST_LEVELS.join(', ')})`)
+        .option('-t, --run-tests <classes>', 'Comma-separated test classes for RunSpecifiedTests')
+        .option('--quick-deploy <validationId>', 'Quick-deploy a validation that already passed')
+        .action(async (options) => {
+            try {
+                const conn = await initializeConn();
+                const result = options.quickDeploy
+                    ? await quickDeploy(conn, options.quickDeploy)
+                    : await deployMetadata(conn, {
+                        manifestFile: options.manifest,
+                        sourceDir: options.source,
+                        checkOnly: options.checkOnly,
+                        testLevel: options.testLevel,
+                        runTests: options.runTests ? options.runTests.split(',').map(name => name.trim()).filter(Boolean) : []
+                    });
+
+                if (result.componentFailures.length > 0) {
+                    console.log(chalk.red('\n=== Component Failures ==='));
+                    console.log(await formatRecords(result.componentFailures, 'table', {
+                        columns: [
+                            { id: 'type', title: 'Type' },
+                            { id: 'name', title: 'Name' },
+                            { id: 'line', title: 'Line' },
+                            { id: 'problem', title: 'Problem' }
+                        ]
+                    }));
+                }
+                if (result.testFailures.length > 0) {
+                    console.log(chalk.red('\n=== Test Failures ==='));
+                    console.log(await formatRecords(result.testFailures, 'table', {
+                        columns: [
+                            { id: 'className', title: 'Class' },
+                            { id: 'methodName', title: 'Method' },
+                            { id: 'message', title: 'Message' }
+                        ]
+                    }));
+                }
+                result.coverageWarnings.forEach(warning => {
+                    console.log(chalk.yellow(`Coverage warning${warning.name ? ` (${warning.name})` : ''}: ${warning.message}`));
+                });
+                if (result.errorMessage) {
+                    console.log(chalk.red(result.errorMessage));
+                }
+
+                const action = result.checkOnly ? 'Validation' : 'Deploy';
+                if (!result.success) {
+                    console.error(chalk.red(`${action} ${result.id} ${result.status}.`));
+                    process.exit(1);
+                }
+                console.log(chalk.green(`${action} ${result.id} ${result.status}.`));
+                if (result.checkOnly) {
+                    console.log(chalk.magenta(`Quick deploy it with: sfu deploy --quick-deploy ${result.id}`));
+                }
+            } catch (error) {
+                console.error(chalk.red(`Error deploying metadata: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Command: sfu diff-orgs
+    const diffOrgsCommand = program
+        .command('diff-orgs')
+        .description('Compare metadata between two orgs')
+        .requiredOption('--source <org>', 'Source org alias or username (e.g., uat)')
+        .requiredOption('--target <org>', 'Target org alias or username (e.g., prod)')
+        .requiredOption('--types <types>', 'Comma-separated metadata types (e.g., ApexClass,Flow,CustomField)')
+        .option('--content', 'Retrieve changed components from both orgs and diff their content')
+        .option('--diff-file <file>', 'File for the content diff (with --content)', 'org_diff.txt')
+        .option('--package-dir <dir>', 'Write a delta package.xml (added and changed) and destructiveChanges.xml (removed) here');
+    addOutputOptions(diffOrgsCommand, 'csv', 'org_diff')
+        .action(async (options) => {
+            const log = statusLogger(options.stdout);
+            validateFormat(options.format, FORMATS);
+            const types = options.types.split(',').map(type => type.trim()).filter(Boolean);
+            try {
+                log(chalk.yellow(`Connecting to source org ${options.source}...`));
+                const sourceConn = await initializeConn(options.source, { log });
+                log(chalk.yellow(`Connecting to target org ${options.target}...`));
+                const targetConn = await initializeConn(options.target, { log });
+
+                const { rows, unchangedCount, diffs } = await diffOrgs(sourceConn, targetConn, { types, content: options.content, log });
+                const countOf = status => rows.filter(row => row.status === status).length;
+                log(chalk.blue(`\n=== ${options.source} -> ${options.target}: ${countOf('added')} added, ${countOf('changed')} changed, ${countOf('removed')} removed, ${unchangedCount} unchanged ===`));
+
+                if (rows.length === 0) {
+                    log(chalk.green('No differences found.'));
+                    return;
+                }
+                if (!options.stdout) {
+                    log(await formatRecords(rows, 'table', { columns: ORG_DIFF_COLUMNS.slice(0, 5) }));
+                }
+
+                const outputFile = await exportRecords(rows, {
+                    format: options.format,
+                    out: options.out || defaultOutputPath('org_diff', options.format),
+                    stdout: options.stdout,
+                    columns: ORG_DIFF_COLUMNS,
+                    title: 'Org Diff'
+                });
+                log(chalk.magenta(`Results exported to ${outputFile}`));
+
+                if (diffs.length > 0) {
+                    await fs.writeFile(options.diffFile, formatContentDiffs(diffs));
+                    log(chalk.magenta(`Content diff for ${diffs.length} component(s) written to ${options.diffFile}`));
+                }
+                if (options.packageDir) {
+                    await fs.mkdir(options.packageDir, { recursive: true });
+                    const files = await writeManifests(options.packageDir, deltaManifests(rows, targetConn.apiVersion));
+                    log(chalk.magenta(`Delta manifest written to ${files.join(' and ')}`));
+                }
+            } catch (error) {
+                console.error(chalk.red(`Error comparing orgs: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Command: sfu migrate
     program
+        .command('migrate')
+        .description('Copy records between orgs following a plan, remapping lookup Ids')
+        .requiredOption('--from <org>', 'Source org alias or username (e.g., prod)')
+        .requiredOption('--to <org>', 'Target org alias or username (e.g., dev)')
+        .requiredOption('--plan <file>', 'JSON or YAML plan listing the objects, their filters and load order')
+        .option('--out-dir <dir>', 'Directory for extracts, load files, job results and the Id map', 'migration')
+        .action(async (options) => {
+            try {
+                const plan = await loadPlan(options.plan);
+                console.log(chalk.yellow(`Connecting to source org ${options.from}...`));
+                const sourceConn = await initializeConn(options.from);
+                console.log(chalk.yellow(`Connecting to target org ${options.to}...`));
+                const targetConn = await initializeConn(options.to);
+
+                const result = await migrateRecords(sourceConn, targetConn, plan, { outDir: options.outDir });
+                console.log(chalk.blue(`\n=== ${options.from} -> ${options.to} ===`));
+                console.log(await formatRecords(result.objects, 'table', { columns: MIGRATION_COLUMNS }));
+                console.log(chalk.magenta(`Id map written to ${result.idMapFile}; job files are in ${result.outDir}`));
+                if (result.objects.some(item => item.failed > 0)) {
+                    console.error(chalk.red('Some records failed to load. See the *_failed.csv files.'));
+                    process.exit(1);
+                }
+            } catch (error) {
+                console.error(chalk.red(`Error migrating records: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Command: sfu bulk
+    // Options are checked in the action rather than with requiredOption so `sfu bulk jobs ...` works
+    const bulkCommand = program
         .command('bulk')
         .description('Run a Bulk API 2.0 job')
-        .requiredOption('-s, --sobject <object>', 'Salesforce object (e.g., Account)')
-        .requiredOption('-o, --operation <operation>', 'Operation (Insert, Update, Upsert, Delete)')
-        .requiredOption('-d, --data <datafile>', 'Path to CSV data file')
+        .option('-s, --sobject <object>', 'Salesforce object (e.g., Account)')
+        .option('-o, --operation <operation>', 'Operation (Insert, Update, Upsert, Delete, HardDelete)')
+        .option('-d, --data <datafile>', 'Path to CSV data file')
         .option('-e, --external-id <externalId>', 'External ID field for Upsert')
+        .option('--chunk-size <mb>', 'Maximum upload size per job in MB (files are split into several jobs)', '100')
+        .option('--chunk-records <n>', 'Maximum records per job')
+        .option('--concurrency <n>', 'Number of jobs to run at the same time', '3')
+        .option('--no-wait', 'Submit the job(s) and return; pick them up later with "sfu bulk jobs"')
+        .option('--validate-only', 'Check the CSV against the object describe without creating a job')
+        .option('--no-validate', 'Skip the pre-flight CSV check')
+        .option('-m, --mapping <file>', 'JSON or YAML file that maps and transforms CSV columns to fields')
+        .option('--no-snapshot', 'Do not save the current values before an update or delete')
+        .option('--results-report <file>', 'CSV with one row per input row and its outcome', 'bulk_api_results.csv')
+        .option('--delimiter <delimiter>', `Column delimiter, detected from the header by default (${Object.keys(COLUMN_DELIMITERS).join(', ')} or the character)`)
+        .option('--line-ending <ending>', `Line ending, detected from the header by default (${LINE_ENDINGS.join(', ')})`)
+        .option('--assignment-rule <id>', 'Assignment rule Id to apply to Case or Lead records')
+        .option('--confirm-hard-delete', 'Run a HardDelete without asking for confirmation')
         .action(async (options) => {
-            const operation = options.operation.charAt(0).toUpperCase() + options.operation.slice(1).toLowerCase();
-            if (!['Insert', 'Update', 'Upsert', 'Delete'].includes(operation)) {
-                console.error(chalk.red('Error: Operation must be Insert, Update, Upsert, or Delete.'));
+            const missing = ['sobject', 'operation', 'data'].filter(name => !options[name]);
+            if (missing.length > 0) {
+                console.error(chalk.red(`Error: Missing required option(s): ${missing.map(name => `--${name}`).join(', ')}.`));
+                process.exit(1);
+            }
+            const operation = INGEST_OPERATIONS.find(name => name.toLowerCase() === options.operation.toLowerCase());
+            if (!operation) {
+                console.error(chalk.red('Error: Operation must be Insert, Update, Upsert, Delete, or HardDelete.'));
                 process.exit(1);
             }
 
-            if (operation === 'Upsert' && !options.externalId) {
+            if (operation === 'upsert' && !options.externalId) {
                 console.error(chalk.red('Error: External ID field is required for Upsert.'));
                 process.exit(1);
             }
 
+            const chunkSize = Number(options.chunkSize);
+            const chunkRecords = options.chunkRecords !== undefined ? Number(options.chunkRecords) : undefined;
+            const concurrency = Number(options.concurrency);
+            if (!(chunkSize > 0 && chunkSize <= 150)) {
+                console.error(chalk.red('Error: --chunk-size must be greater than 0 and at most 150 (MB).'));
+                process.exit(1);
+            }
+            if (chunkRecords !== undefined && !(Number.isInteger(chunkRecords) && chunkRecords > 0)) {
+                console.error(chalk.red('Error: --chunk-records must be a positive integer.'));
+                process.exit(1);
+            }
+            if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+                console.error(chalk.red('Error: --concurrency must be a positive integer.'));
+                process.exit(1);
+            }
+
             try {
+                const mapping = options.mapping ? await loadMapping(options.mapping) : null;
+                const csvFormat = await resolveCsvFormat(options.data, { columnDelimiter: options.delimiter, lineEnding: options.lineEnding });
+                if (operation === 'hardDelete' && !options.validateOnly && !options.confirmHardDelete) {
+                    if (!await confirmHardDelete(options.sobject)) {
+                        console.log(chalk.yellow('Hard delete cancelled.'));
+                        return;
+                    }
+                }
                 const conn = await initializeConn();
+                if (options.validateOnly) {
+                    const validation = await validateBulkFile(conn, options.sobject, operation, options.externalId, options.data, {
+                        mapping,
+                        delimiter: COLUMN_DELIMITERS[csvFormat.columnDelimiter]
+                    });
+                    if (validation.problemCount === 0) {
+                        console.log(chalk.green(`${validation.rowCount} row(s) checked against ${options.sobject}: no problems found.`));
+                        return;
+                    }
+                    console.log(chalk.red(`\n=== ${validation.problemCount} problem(s) in ${validation.rowCount} row(s) ===`));
+                    console.log(await formatRecords(validation.problems.slice(0, 50), 'table', { columns: VALIDATION_COLUMNS }));
+                    if (validation.problemCount > 50) {
+                        console.log(chalk.yellow(`Showing the first 50 problems.${validation.truncated ? ` Only the first ${validation.problems.length} were kept.` : ''}`));
+                    }
+                    console.log(chalk.magenta(`Validation report exported to ${validation.reportFile}`));
+                    process.exit(1);
+                }
                 console.log(chalk.yellow('Creating job...'));
-                const jobStatus = await runBulkApiJob(conn, options.sobject, operation.toLowerCase(), options.externalId, options.data);
+                const jobStatus = await runBulkApiJob(conn, options.sobject, operation, options.externalId, options.data, {
+                    chunkBytes: Math.floor(chunkSize * 1024 * 1024),
+                    chunkRecords,
+                    concurrency,
+                    wait: options.wait,
+                    validate: options.validate,
+                    mapping,
+                    snapshot: options.snapshot,
+                    resultsReportFile: options.resultsReport,
+                    ...csvFormat,
+                    assignmentRuleId: options.assignmentRule,
+                    confirmHardDelete: true
+                });
 
                 console.log(chalk.blue('\n=== Final Job Status ==='));
                 console.log(chalk.blue(JSON.stringify({
@@ -204,11 +709,43 @@ async function main() {
                     totalProcessingTime: jobStatus.totalProcessingTime
                 }, null, 2)));
 
-                if (jobStatus.numberRecordsProcessed > 0 || jobStatus.numberRecordsFailed > 0) {
-                    console.log(chalk.magenta('Successful results exported to bulk_api_successful_results.csv'));
-                    if (jobStatus.numberRecordsFailed > 0) {
-                        console.log(chalk.magenta('Failed results exported to bulk_api_failed_results.csv'));
+                if (jobStatus.jobs.length > 1) {
+                    console.log(chalk.blue(`\n=== ${jobStatus.jobs.length} Jobs ===`));
+                    console.log(await formatRecords(jobStatus.jobs, 'table', {
+                        columns: ['chunk', 'id', 'state', 'recordCount', 'numberRecordsProcessed', 'numberRecordsFailed', 'errorMessage']
+                    }));
+                }
+                if (jobStatus.successfulResultsFile) {
+                    console.log(chalk.magenta(`Successful results exported to ${jobStatus.successfulResultsFile}`));
+                }
+                if (jobStatus.failedResultsFile) {
+                    console.log(chalk.magenta(`Failed results exported to ${jobStatus.failedResultsFile}`));
+                }
+                if (jobStatus.outcomeCounts) {
+                    const counts = jobStatus.outcomeCounts;
+                    console.log(chalk.blue(`\n${counts.Success} succeeded, ${counts.Failed} failed, ${counts['Not processed']} not processed.`));
+                }
+                if (jobStatus.errorSummary.length > 0) {
+                    console.log(chalk.blue('\n=== Errors by Code and Field ==='));
+                    console.log(await formatRecords(jobStatus.errorSummary.slice(0, 20), 'table', { columns: ERROR_SUMMARY_COLUMNS }));
+                    if (jobStatus.errorSummary.length > 20) {
+                        console.log(chalk.yellow(`Showing 20 of ${jobStatus.errorSummary.length} error groups.`));
                     }
+                    console.log(chalk.magenta(`Error summary exported to ${jobStatus.errorSummaryFile}`));
+                }
+                if (jobStatus.resultsReportFile) {
+                    console.log(chalk.magenta(`Results report (one row per input row) exported to ${jobStatus.resultsReportFile}`));
+                }
+                if (jobStatus.snapshotDir) {
+                    console.log(chalk.magenta(`Snapshot saved to ${jobStatus.snapshotDir}. Undo with: sfu bulk rollback ${jobStatus.jobs[0].id}`));
+                }
+                if (!options.wait && jobStatus.state === 'UploadComplete') {
+                    console.log(chalk.magenta(`Job(s) submitted. Check them with: sfu bulk jobs status <jobId>, then sfu bulk jobs results <jobId>`));
+                    return;
+                }
+                if (jobStatus.state !== 'JobComplete') {
+                    console.error(chalk.red(`Bulk load did not complete: ${jobStatus.errorMessage || jobStatus.state}`));
+                    process.exit(1);
                 }
             } catch (error) {
                 console.error(chalk.red(`Error executing Bulk API job: ${error.message}`));
@@ -216,12 +753,219 @@ async function main() {
             }
         });
 
+    // Command: sfu bulk jobs
+    const bulkJobsCommand = bulkCommand
+        .command('jobs')
+        .description('Manage Bulk API 2.0 jobs (ingest and query)');
+
+    const bulkJobsListCommand = bulkJobsCommand
+        .command('list')
+        .description('List Bulk API 2.0 jobs')
+        .option('--type <type>', `Job type (${JOB_TYPES.join(', ')}; default: both)`)
+        .option('--state <state>', 'Only jobs in this state (e.g., JobComplete, Failed, InProgress)')
+        .option('--object <object>', 'Only jobs for this object');
+    addOutputOptions(bulkJobsListCommand, 'table', 'bulk_jobs')
+        .action(async (options) => {
+            validateFormat(options.format, FORMATS);
+            // A table with no --out is meant for the terminal
+            const toStdout = options.stdout || (options.format === 'table' && !options.out);
+            const log = statusLogger(toStdout);
+            try {
+                const conn = await initializeConn(undefined, { log });
+                const jobs = await listJobs(conn, { type: options.type, state: options.state, object: options.object });
+                if (jobs.length === 0) {
+                    log(chalk.yellow('No bulk jobs found matching the criteria.'));
+                    return;
+                }
+                const outputFile = await exportRecords(jobs, {
+                    format: options.format,
+                    out: options.out || defaultOutputPath('bulk_jobs', options.format),
+                    stdout: toStdout,
+                    columns: JOB_LIST_COLUMNS,
+                    title: 'Bulk Jobs'
+                });
+                if (outputFile !== 'stdout') {
+                    console.log(chalk.magenta(`${jobs.length} job(s) exported to ${outputFile}`));
+                }
+            } catch (error) {
+                console.error(chalk.red(`Error listing bulk jobs: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    bulkJobsCommand
+        .command('status <jobId>')
+        .description('Show the status of a job')
+        .action(async (jobId) => {
+            try {
+                const conn = await initializeConn();
+                const job = await getJobStatus(conn, jobId);
+                console.log(chalk.blue(`\n=== ${job.type === 'query' ? 'Query' : 'Ingest'} Job ${jobId} ===`));
+                console.log(JSON.stringify(job, null, 2));
+            } catch (error) {
+                console.error(chalk.red(`Error retrieving job status: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    bulkJobsCommand
+        .command('abort <jobId>')
+        .description('Abort a job that has not finished')
+        .action(async (jobId) => {
+            try {
+                const conn = await initializeConn();
+                const job = await abortJob(conn, jobId);
+                console.log(chalk.green(`Job ${jobId} is now ${job.state}.`));
+            } catch (error) {
+                console.error(chalk.red(`Error aborting job: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    bulkJobsCommand
+        .command('delete <jobId>')
+        .description('Delete a finished job and its results')
+        .action(async (jobId) => {
+            try {
+                const conn = await initializeConn();
+                await deleteJob(conn, jobId);
+                console.log(chalk.green(`Job ${jobId} deleted.`));
+            } catch (error) {
+                console.error(chalk.red(`Error deleting job: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    bulkJobsCommand
+        .command('results <jobId>')
+        .description('Download job results (ingest: successful, failed and unprocessed records)')
+        .option('--out-dir <dir>', 'Directory for the result files', '.')
+        .option('--format <format>', `Format for query job results (${STREAM_FORMATS.join(', ')})`, 'csv')
+        .action(async (jobId, options) => {
+            validateFormat(options.format, STREAM_FORMATS);
+            try {
+                const conn = await initializeConn();
+                await fs.mkdir(options.outDir, { recursive: true });
+                const { job, files } = await downloadJobResults(conn, jobId, { outDir: options.outDir, format: options.format });
+                console.log(chalk.blue(`\n=== Job ${jobId}: ${job.state} ===`));
+                files.forEach(({ kind, file, count }) => {
+                    console.log(file
+                        ? chalk.magenta(`${count} ${kind} record(s) exported to ${file}`)
+                        : chalk.yellow(`No ${kind} records.`));
+                });
+            } catch (error) {
+                console.error(chalk.red(`Error downloading job results: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Command: sfu bulk retry
+    bulkCommand
+        .command('retry <source>')
+        .description('Resubmit failed rows from a job Id or a failed results CSV')
+        .option('--error-code <code>', 'Only retry rows failing with this code, e.g. UNABLE_TO_LOCK_ROW (repeatable)', collect, [])
+        .option('--rounds <n>', 'Maximum number of retry rounds', '3')
+        .option('--backoff <seconds>', 'Delay before the first round, doubled every round', '5')
+        .option('--report <file>', 'CSV of rows that never succeeded', 'bulk_retry_report.csv')
+        .action(async (source, options) => {
+            // --sobject, --operation, --external-id, --chunk-size and --concurrency belong to "sfu bulk"
+            const bulkOpts = bulkCommand.opts();
+            const rounds = Number(options.rounds);
+            const backoff = Number(options.backoff);
+            if (!(Number.isInteger(rounds) && rounds > 0)) {
+                console.error(chalk.red('Error: --rounds must be a positive integer.'));
+                process.exit(1);
+            }
+            if (!(backoff >= 0)) {
+                console.error(chalk.red('Error: --backoff must be a number of seconds.'));
+                process.exit(1);
+            }
+            try {
+                const conn = await initializeConn();
+                const result = await retryFailedRecords(conn, source, {
+                    jobOptions: {
+                        sObject: bulkOpts.sobject,
+                        operation: bulkOpts.operation && bulkOpts.operation.toLowerCase(),
+                        externalIdFieldName: bulkOpts.externalId
+                    },
+                    errorCodes: options.errorCode,
+                    rounds,
+                    backoffMs: backoff * 1000,
+                    reportFile: options.report,
+                    bulkOptions: {
+                        chunkBytes: Math.floor(Number(bulkOpts.chunkSize) * 1024 * 1024),
+                        concurrency: Number(bulkOpts.concurrency),
+                        snapshot: bulkOpts.snapshot,
+                        assignmentRuleId: bulkOpts.assignmentRule,
+                        confirmHardDelete: bulkOpts.confirmHardDelete
+                    }
+                });
+
+                console.log(chalk.blue('\n=== Retry Report ==='));
+                if (result.rounds.length > 0) {
+                    console.log(await formatRecords(result.rounds, 'table', {
+                        columns: ['round', 'jobIds', 'state', 'submitted', 'succeeded', 'failed']
+                    }));
+                }
+                console.log(chalk.blue(`${result.total} failed row(s): ${result.retried} retried, ${result.succeeded} succeeded, ${result.failed} never succeeded.`));
+                Object.entries(result.errorCounts).forEach(([code, count]) => {
+                    console.log(chalk.yellow(`  ${code}: ${count}`));
+                });
+                if (result.successfulResultsFile) {
+                    console.log(chalk.magenta(`Successful results exported to ${result.successfulResultsFile}`));
+                }
+                if (result.reportFile) {
+                    console.log(chalk.magenta(`Rows that never succeeded exported to ${result.reportFile}`));
+                    process.exit(1);
+                }
+            } catch (error) {
+                console.error(chalk.red(`Error retrying failed records: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Command: sfu bulk rollback
+    bulkCommand
+        .command('rollback <jobId>')
+        .description('Undo an update or delete job from the snapshot saved before it ran')
+        .action(async (jobId) => {
+            try {
+                const conn = await initializeConn();
+                const { snapshot, operation, recordCount, result } = await rollbackBulkJob(conn, jobId);
+                console.log(chalk.blue(`\n=== Rollback of ${snapshot.operation} on ${snapshot.sObject} (snapshot of ${snapshot.recordCount} record(s) from ${snapshot.createdAt}) ===`));
+                if (!result) {
+                    console.log(chalk.yellow('No records were changed by the job; nothing to restore.'));
+                    return;
+                }
+                console.log(chalk.blue(`${recordCount} record(s) restored with ${operation}: ${result.numberRecordsProcessed - result.numberRecordsFailed} succeeded, ${result.numberRecordsFailed} failed.`));
+                if (operation === 'insert') {
+                    console.log(chalk.yellow('Deleted records were re-inserted with new Ids; records that referenced them are not relinked.'));
+                }
+                if (result.successfulResultsFile) {
+                    console.log(chalk.magenta(`Successful results exported to ${result.successfulResultsFile}`));
+                }
+                if (result.failedResultsFile) {
+                    console.log(chalk.magenta(`Failed results exported to ${result.failedResultsFile}`));
+                }
+                if (result.state !== 'JobComplete' || result.numberRecordsFailed > 0) {
+                    process.exit(1);
+                }
+            } catch (error) {
+                console.error(chalk.red(`Error rolling back bulk job: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
     // Command: sfu apex
     program
         .command('apex')
         .description('Run anonymous Apex code')
         .option('-q, --code <code>', 'Apex code string')
         .option('-f, --file <codefile>', 'Path to Apex code file')
+        .option('-l, --log', 'Capture the debug log (sets a TraceFlag for the running user)')
+        .option('--debug-level <name>', 'DebugLevel DeveloperName to use or create', 'SFU_DEBUG')
+        .option('--log-level <level>', `ApexCode log level (${LOG_LEVELS.join(', ')})`, 'FINEST')
+        .option('--log-file <path>', 'File for the full debug log (default: apex_<logId>.log)')
         .action(async (options) => {
             if (!options.code && !options.file) {
                 console.error(chalk.red('Error: Either --code or --file is required.'));
@@ -248,58 +992,333 @@ async function main() {
 
             try {
                 const conn = await initializeConn();
-                const result = await runApex(conn, apexCode);
+                const { log, ...result } = await runApex(conn, apexCode, {
+                    log: options.log,
+                    debugLevel: options.debugLevel,
+                    logLevel: options.logLevel,
+                    logFile: options.logFile
+                });
 
                 console.log(chalk.blue('\n=== Apex Execution Result (JSON) ==='));
                 console.log(JSON.stringify(result, null, 2));
+
+                if (options.log) {
+                    if (!log) {
+                        console.log(chalk.yellow('No debug log was found for this execution.'));
+                    } else {
+                        console.log(chalk.blue('\n=== USER_DEBUG ==='));
+                        if (log.userDebug.length === 0) {
+                            console.log(chalk.yellow('No USER_DEBUG output.'));
+                        }
+                        log.userDebug.forEach(entry => {
+                            console.log(`${chalk.gray(`[${entry.line}]`)} ${chalk.cyan(entry.level)} ${entry.message}`);
+                        });
+                        console.log(chalk.magenta(`Full debug log (${log.id}) saved to ${log.file}`));
+                    }
+                }
             } catch (error) {
                 console.error(chalk.red(`Error executing Apex: ${error.message}`));
                 process.exit(1);
             }
         });
 
+    // Command: sfu test
+    program
+        .command('test')
+        .description('Run Apex tests with code coverage and JUnit output')
+        .option('-c, --classes <names>', 'Comma-separated test class names')
+        .option('-s, --suites <names>', 'Comma-separated test suite names')
+        .option('--all', 'Run all local tests (RunLocalTests)')
+        .option('--junit <path>', 'JUnit XML report file', 'test_results_junit.xml')
+        .option('--coverage <path>', 'Code coverage JSON file', 'test_coverage.json')
+        .action(async (options) => {
+            const splitNames = value => (value || '').split(',').map(name => name.trim()).filter(Boolean);
+            const classNames = splitNames(options.classes);
+            const suiteNames = splitNames(options.suites);
+            if (!options.all && classNames.length === 0 && suiteNames.length === 0) {
+                console.error(chalk.red('Error: Use --classes, --suites or --all.'));
+                process.exit(1);
+            }
+            if (options.all && (classNames.length > 0 || suiteNames.length > 0)) {
+                console.error(chalk.red('Error: --all cannot be combined with --classes or --suites.'));
+                process.exit(1);
+            }
+
+            try {
+                const conn = await initializeConn();
+                const run = await runApexTests(conn, {
+                    classNames,
+                    suiteNames,
+                    all: options.all,
+                    junitFile: options.junit,
+                    coverageFile: options.coverage
+                });
+
+                console.log(chalk.blue('\n=== Test Results ==='));
+                run.results.forEach(test => {
+                    const label = `${test.className}.${test.methodName} (${test.runTime} ms)`;
+                    if (test.outcome === 'Pass') {
+                        console.log(chalk.green(`PASS ${label}`));
+                    } else if (test.outcome === 'Skip') {
+                        console.log(chalk.yellow(`SKIP ${label}`));
+                    } else {
+                        console.log(chalk.red(`FAIL ${label}`));
+                        console.log(chalk.red(`     ${test.message}`));
+                        if (test.stackTrace) {
+                            console.log(chalk.gray(test.stackTrace.split('\n').map(line => `     ${line}`).join('\n')));
+                        }
+                    }
+                });
+                run.classErrors.forEach(error => {
+                    console.log(chalk.red(`ERROR ${error.className} (${error.status})`));
+                    console.log(chalk.red(`     ${error.message}`));
+                });
+
+                console.log(chalk.blue('\n=== Code Coverage ==='));
+                run.coverage.classes.forEach(item => {
+                    const color = item.percent >= 75 ? chalk.green : chalk.red;
+                    console.log(color(`${String(item.percent).padStart(6)}%  ${item.name} (${item.coveredLines}/${item.coveredLines + item.uncoveredLines})`));
+                });
+                console.log(chalk.blue(`Org-wide coverage: ${run.coverage.summary.percent}%`));
+
+                console.log(chalk.blue(`\nTests: ${run.results.length}, passed: ${run.passed}, failed: ${run.failed}, skipped: ${run.skipped}, classes not run: ${run.classErrors.length}`));
+                console.log(chalk.magenta(`JUnit report written to ${options.junit}`));
+                console.log(chalk.magenta(`Coverage report written to ${options.coverage}`));
+                if (run.failed > 0 || run.classErrors.length > 0) {
+                    process.exit(1);
+                }
+            } catch (error) {
+                console.error(chalk.red(`Error running Apex tests: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Command: sfu manifest
+    const manifestCommand = program
+        .command('manifest')
+        .description('Merge, diff and subtract package.xml files');
+
+    const writeManifestOutput = async (manifest, out, { destructive = false } = {}) => {
+        const xml = toPackageXml(manifest, { includeVersion: !destructive });
+        if (!out) {
+            process.stdout.write(xml);
+            return;
+        }
+        await fs.writeFile(out, xml);
+        console.error(chalk.magenta(`${countMembers(manifest)} member(s) written to ${out}`));
+    };
+
+    manifestCommand
+        .command('merge <files...>')
+        .description('Merge package.xml files (union of members, highest version)')
+        .option('-o, --out <file>', 'Output file (default: stdout)')
+        .action(async (files, options) => {
+            try {
+                const manifests = await Promise.all(files.map(readManifest));
+                await writeManifestOutput(mergeManifests(...manifests), options.out);
+            } catch (error) {
+                console.error(chalk.red(`Error merging manifests: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    manifestCommand
+        .command('subtract <base> <others...>')
+        .description('Remove the members of the other manifests from the base manifest')
+        .option('-o, --out <file>', 'Output file (default: stdout)')
+        .option('--destructive', 'Write the result as destructiveChanges.xml (no version)')
+        .action(async (base, others, options) => {
+            try {
+                const result = (await Promise.all(others.map(readManifest)))
+                    .reduce((remaining, other) => subtractManifests(remaining, other), await readManifest(base));
+                await writeManifestOutput(result, options.out, { destructive: options.destructive });
+            } catch (error) {
+                console.error(chalk.red(`Error subtracting manifests: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    manifestCommand
+        .command('diff <base> <other>')
+        .description('Show members added and removed between two manifests')
+        .option('--added <file>', 'Write the added members as a package.xml')
+        .option('--removed <file>', 'Write the removed members as a destructiveChanges.xml')
+        .action(async (base, other, options) => {
+            try {
+                const { added, removed } = diffManifests(await readManifest(base), await readManifest(other));
+                if (countMembers(added) === 0 && countMembers(removed) === 0) {
+                    console.log(chalk.green('Manifests have the same members.'));
+                }
+                added.types.forEach(type => type.members.forEach(member => console.log(chalk.green(`+ ${type.name}: ${member}`))));
+                removed.types.forEach(type => type.members.forEach(member => console.log(chalk.red(`- ${type.name}: ${member}`))));
+                if (options.added) await writeManifestOutput(added, options.added);
+                if (options.removed) await writeManifestOutput(removed, options.removed, { destructive: true });
+            } catch (error) {
+                console.error(chalk.red(`Error comparing manifests: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    // Command: sfu org
+    const org = program
+        .command('org')
+        .description('Manage named org profiles (stored in ~/.sfu/orgs.json)');
+
+    org
+        .command('list')
+        .description('List org profiles')
+        .action(async () => {
+            try {
+                const store = await loadOrgs();
+                const aliases = Object.keys(store.orgs);
+                if (aliases.length === 0) {
+                    console.log(chalk.yellow(`No org profiles found in ${getOrgsFile()}. Use "sfu org add".`));
+                    return;
+                }
+                console.log(chalk.blue('\n=== Org Profiles ==='));
+                aliases.forEach(alias => {
+                    const profile = store.orgs[alias];
+                    const marker = alias === store.defaultOrg ? chalk.green('*') : ' ';
+                    const details = [
+                        `auth: ${profile.auth.method || 'sfcli'}`,
+                        profile.auth.username ? `user: ${profile.auth.username}` : null,
+                        profile.apiVersion ? `api: ${profile.apiVersion}` : null,
+                        profile.production ? chalk.red('production') : null
+                    ].filter(Boolean).join(', ');
+                    console.log(`${marker} ${chalk.yellow(alias)} (${details})`);
+                });
+            } catch (error) {
+                console.error(chalk.red(`Error listing orgs: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    org
+        .command('add <alias>')
+        .description('Add or replace an org profile')
+        .option('--method <method>', `Auth method (${AUTH_METHODS.join(', ')})`, 'sfcli')
+        .option('--user <username>', 'Salesforce username (or sf CLI alias for sfcli auth)')
+        .option('--api-version <version>', 'Default API version (e.g., 60.0)')
+        .option('--production', 'Mark the org as production')
+        .action(async (alias, options) => {
+            // --login-url, --client-id and --key-file are shared with the global options
+            const globalOpts = program.opts();
+            if (!AUTH_METHODS.includes(options.method)) {
+                console.error(chalk.red(`Error: Auth method must be one of: ${AUTH_METHODS.join(', ')}.`));
+                process.exit(1);
+            }
+            try {
+                await addOrg(alias, {
+                    auth: {
+                        method: options.method,
+                        username: options.user,
+                        loginUrl: globalOpts.loginUrl,
+                        clientId: globalOpts.clientId,
+                        privateKeyFile: globalOpts.keyFile
+                    },
+                    apiVersion: options.apiVersion,
+                    production: options.production
+                });
+                console.log(chalk.green(`Org profile "${alias}" saved to ${getOrgsFile()}`));
+            } catch (error) {
+                console.error(chalk.red(`Error adding org: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    org
+        .command('remove <alias>')
+        .description('Remove an org profile')
+        .action(async (alias) => {
+            try {
+                await removeOrg(alias);
+                console.log(chalk.green(`Org profile "${alias}" removed.`));
+            } catch (error) {
+                console.error(chalk.red(`Error removing org: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
+    org
+        .command('use <alias>')
+        .description('Set the default org profile')
+        .action(async (alias) => {
+            try {
+                await useOrg(alias);
+                console.log(chalk.green(`Default org set to "${alias}".`));
+            } catch (error) {
+                console.error(chalk.red(`Error setting default org: ${error.message}`));
+                process.exit(1);
+            }
+        });
+
     // Initialize connection
-    async function initializeConn() {
-        let lastUsername = '';
-        try {
-            lastUsername = await fs.readFile(LAST_USERNAME_FILE, 'utf8');
-            lastUsername = lastUsername.trim();
-        } catch (error) {
-            // File doesn't exist or can't be read
+    // Connect to the given alias/username, or to the one from --username / the default org
+    async function initializeConn(aliasOrUsername, { log = console.log } = {}) {
+        const globalOpts = program.opts();
+        let profile = await resolveOrg(aliasOrUsername || globalOpts.username);
+        if (!profile && !aliasOrUsername) {
+            let lastUsername = '';
+            try {
+                lastUsername = await fs.readFile(LAST_USERNAME_FILE, 'utf8');
+                lastUsername = lastUsername.trim();
+            } catch (error) {
+                // File doesn't exist or can't be read
+            }
+            profile = await resolveOrg(lastUsername);
         }
 
-        const username = program.opts().username || lastUsername;
-        if (!username) {
-            console.error(chalk.red('Error: Salesforce username is required. Use --username or set last_username.txt.'));
+        const authConfig = resolveAuthConfig(profile && profile.auth, {
+            method: globalOpts.auth,
+            loginUrl: globalOpts.loginUrl,
+            clientId: globalOpts.clientId,
+            privateKeyFile: globalOpts.keyFile
+        });
+
+        if (authConfig.method === 'sfcli' && !authConfig.username) {
+            console.error(chalk.red('Error: Salesforce username is required. Use --username <alias|username> or "sfu org use <alias>".'));
             process.exit(1);
         }
 
-        await fs.writeFile(LAST_USERNAME_FILE, username);
-
-        const { accessToken, instanceUrl, apiVersion } = await getSalesforceCredentials(username);
-        console.log(chalk.blue('Instance URL:', instanceUrl));
-        console.log(chalk.blue('API Version:', apiVersion));
+        const credentials = await getCredentials(authConfig);
+        const apiVersion = (profile && profile.apiVersion) || credentials.apiVersion;
+        if (profile && profile.alias) {
+            log(chalk.blue('Org:', profile.alias));
+        }
+        log(chalk.blue('Auth Method:', authConfig.method));
+        log(chalk.blue('Instance URL:', credentials.instanceUrl));
+        log(chalk.blue('API Version:', apiVersion));
+        if (profile && profile.production) {
+            log(chalk.red.bold('Warning: connected to a PRODUCTION org.'));
+        }
 
-        const conn = await initializeConnection(accessToken, instanceUrl, apiVersion);
-        console.log(chalk.green('Successfully connected to Salesforce!'));
+        const conn = await initializeConnection(credentials.accessToken, credentials.instanceUrl, apiVersion, authConfig);
+        log(chalk.green('Successfully connected to Salesforce!'));
         return conn;
     }
 
-    // Convert records to CSV
-    function convertToCSV(records) {
-        if (!records || records.length === 0) return '';
-        const headers = Object.keys(records[0]).filter(key => key !== 'attributes');
-        const rows = records.map(record => {
-            return headers.map(header => {
-                const value = record[header];
-                return typeof value === 'object' ? JSON.stringify(value) : `"${String(value).replace(/"/g, '""')}"`;
-            }).join(',');
+    // Print Explain Plan results
+    function printExplainPlans(explainPlans, log = console.log) {
+        log(chalk.blue('\n=== Explain Plan Results ==='));
+        explainPlans.forEach((plan, index) => {
+            log(chalk.blue(`Plan ${index + 1}:`));
+            log(JSON.stringify({
+                Cardinality: plan.cardinality || 'N/A',
+                Fields: plan.fields || [],
+                LeadingOperationType: plan.leadingOperationType || 'N/A',
+                RelativeCost: plan.relativeCost || 'N/A',
+                SObject: plan.sobjectType || 'N/A',
+                Notes: plan.notes || []
+            }, null, 2));
         });
-        return headers.join(',') + '\n' + rows.join('\n');
     }
 
     // Global option for username
-    program.option('-u, --username <username>', 'Salesforce username');
+    program.option('-u, --username <username>', 'Salesforce username or org profile alias');
+    program.option('-a, --auth <method>', `Auth method (${AUTH_METHODS.join(', ')}); defaults to SF_AUTH_METHOD or sfcli`);
+    program.option('--login-url <url>', 'OAuth login URL (e.g., https://test.salesforce.com)');
+    program.option('--client-id <clientId>', 'Connected app consumer key for jwt/refresh/password auth');
+    program.option('--key-file <keyFile>', 'Private key file for jwt auth');
 
     await program.parseAsync(process.argv);
 }
@@ -9,15 +9,20 @@ const readline = require('readline');
 const chalk = require('chalk');
 const fs = require('fs').promises;
 const {
-    getSalesforceCredentials,
+    getCredentials,
+    resolveAuthConfig,
     initializeConnection
 } = require('./lib/auth');
-const { runSOQLQuery } = require('./lib/soql');
+const { loadOrgs, resolveOrg } = require('./lib/orgs');
+const { runSOQLQuery, exportQueryResults } = require('./lib/soql');
 const { runApex } = require('./lib/apex');
 const { callRestApi } = require('./lib/rest');
-const { trackChanges } = require('./lib/track');
+const { TRACKED_CHANGE_COLUMNS, toTrackedChangeRows, trackChanges } = require('./lib/track');
+const { FORMATS, defaultOutputPath, exportRecords } = require('./lib/exporter');
+const { PARAM_TYPES, findPlaceholders, bindParams, parseParamArgs } = require('./lib/soqlbuilder');
 const { runBulkApiJob } = require('./lib/bulk');
 
+// Legacy single-org file, still read when no org profile is configured
 const LAST_USERNAME_FILE = 'last_username.txt';
 
 // Create readline interface
@@ -35,6 +40,17 @@ function promptUser(question) {
     });
 }
 
+// Ask for an export format; returns null when the user skips the export
+async function promptExportFormat() {
+    const format = (await promptUser(`Export results? Enter a format (${FORMATS.join(', ')}) or press Enter to skip: `)).toLowerCase();
+    if (!format) return null;
+    if (!FORMATS.includes(format)) {
+        console.log(chalk.red(`Unknown format "${format}". Export skipped.`));
+        return null;
+    }
+    return format;
+}
+
 // Main menu
 async function mainMenu(conn) {
     while (true) {
@@ -113,6 +129,23 @@ async function handleSOQLQuery(conn) {
             return;
         }
 
+        const placeholders = findPlaceholders(query);
+        if (placeholders.length > 0) {
+            const args = [];
+            for (const name of placeholders) {
+                const answer = await promptUser(`Enter value for :${name} (prefix with type=, e.g. date=2025-04-01, for ${PARAM_TYPES.join(', ')}): `);
+                const typed = /^(\w+)=/.exec(answer);
+                args.push(typed && PARAM_TYPES.includes(typed[1]) ? `${name}:${answer}` : `${name}=${answer}`);
+            }
+            try {
+                query = bindParams(query, parseParamArgs(args));
+                console.log(chalk.blue('Bound SOQL query:'), query);
+            } catch (error) {
+                console.error(chalk.red('Error binding SOQL parameters:', error.message));
+                return;
+            }
+        }
+
         console.log(chalk.yellow('Select API to execute query:'));
         console.log(chalk.yellow('1. Standard API'));
         console.log(chalk.yellow('2. Tooling API'));
@@ -156,13 +189,15 @@ async function handleSOQLQuery(conn) {
         console.log(JSON.stringify(records, null, 2));
         console.log(chalk.green(`Query execution time: ${executionTime} ms`));
 
-        const outputFormat = await promptUser('Export to CSV? (yes/no): ');
-        if (outputFormat.toLowerCase() === 'yes') {
+        const outputFormat = await promptExportFormat();
+        if (outputFormat) {
             if (records.length === 0) {
                 console.log(chalk.yellow('No records to export.'));
                 return;
             }
-            console.log(chalk.magenta('Results exported to query_results.csv'));
+            const { outputFile, childFiles } = await exportQueryResults(query, records, { format: outputFormat });
+            console.log(chalk.magenta(`Results exported to ${outputFile}`));
+            childFiles.forEach(file => console.log(chalk.magenta(`Child records exported to ${file}`)));
         }
     } catch (error) {
         console.error(chalk.red('Error in SOQL query:', error.message));
@@ -223,17 +258,14 @@ async function handleRestApi(conn) {
         console.log(chalk.blue('\n=== REST API Response (JSON) ==='));
         console.log(JSON.stringify(responseData, null, 2));
 
-        const exportToJson = await promptUser('Export response to JSON file? (yes/no): ');
-        if (exportToJson.toLowerCase() === 'yes') {
-            await fs.writeFile('rest_api_response.json', JSON.stringify(responseData, null, 2));
-            console.log(chalk.magenta('Response exported to rest_api_response.json'));
-        }
-
-        if (method === 'GET' && Array.isArray(responseData)) {
-            const outputFormat = await promptUser('Export to CSV? (yes/no): ');
-            if (outputFormat.toLowerCase() === 'yes') {
-                console.log(chalk.magenta('Results exported to rest_api_results.csv'));
-            }
+        const outputFormat = await promptExportFormat();
+        if (outputFormat) {
+            const outputFile = await exportRecords(responseData, {
+                format: outputFormat,
+                out: defaultOutputPath('rest_api_response', outputFormat),
+                title: relativeUrl
+            });
+            console.log(chalk.magenta(`Response exported to ${outputFile}`));
         }
     } catch (error) {
         console.error(chalk.red('Error calling REST API:', error.message));
@@ -243,7 +275,7 @@ async function handleRestApi(conn) {
 // Handle track changes
 async function handleTrackChanges(conn) {
     try {
-        console.log(chalk.yellow('Note: Change tracking only works in sandboxes and scratch orgs, not in production orgs.'));
+        console.log(chalk.yellow('Note: Change tracking only works in sandboxes and scratch orgs, not in production orgs. Use "sfu audit" for production change history.'));
         const sinceDate = await promptUser('Enter the date to track changes since (YYYY-MM-DD, e.g., 2025-04-01), or press Enter for all changes: ');
         const lastModifiedByUsername = await promptUser('Enter the username of the last modified by user (e.g., user@example.org), or press Enter to skip: ');
 
@@ -257,9 +289,15 @@ async function handleTrackChanges(conn) {
         console.log(chalk.blue('\n=== Tracked Changes (JSON) ==='));
         console.log(JSON.stringify(records, null, 2));
 
-        const outputFormat = await promptUser('Export to CSV? (yes/no): ');
-        if (outputFormat.toLowerCase() === 'yes') {
-            console.log(chalk.magenta('Results exported to tracked_changes.csv'));
+        const outputFormat = await promptExportFormat();
+        if (outputFormat) {
+            const outputFile = await exportRecords(toTrackedChangeRows(records), {
+                format: outputFormat,
+                out: defaultOutputPath('tracked_changes', outputFormat),
+                columns: TRACKED_CHANGE_COLUMNS,
+                title: 'Tracked Changes'
+            });
+            console.log(chalk.magenta(`Results exported to ${outputFile}`));
         }
 
         const generatePackage = await promptUser('Generate package.xml for these changes? (yes/no): ');
@@ -299,7 +337,8 @@ async function handleBulkApiJob(conn) {
         console.log(chalk.yellow('2. Update'));
         console.log(chalk.yellow('3. Upsert'));
         console.log(chalk.yellow('4. Delete'));
-        const operationChoice = await promptUser('Enter the operation number (1-4): ');
+        console.log(chalk.yellow('5. Hard Delete (skips the Recycle Bin)'));
+        const operationChoice = await promptUser('Enter the operation number (1-5): ');
 
         let operation;
         switch (operationChoice) {
@@ -307,6 +346,7 @@ async function handleBulkApiJob(conn) {
             case '2': operation = 'update'; break;
             case '3': operation = 'upsert'; break;
             case '4': operation = 'delete'; break;
+            case '5': operation = 'hardDelete'; break;
             default:
                 console.log(chalk.red('Invalid operation selected. Defaulting to insert.'));
                 operation = 'insert';
@@ -323,8 +363,18 @@ async function handleBulkApiJob(conn) {
 
         const csvFilePath = await promptUser('Enter the path to the CSV file (e.g., data.csv): ');
 
+        if (operation === 'hardDelete') {
+            const answer = await promptUser(`Hard-deleted ${sObject} records cannot be recovered from the Recycle Bin. Type hardDelete to continue: `);
+            if (answer !== 'hardDelete') {
+                console.log(chalk.yellow('Hard delete cancelled.'));
+                return;
+            }
+        }
+
         console.log(chalk.yellow('Creating job...'));
-        const jobStatus = await runBulkApiJob(conn, sObject, operation, externalIdFieldName, csvFilePath);
+        const jobStatus = await runBulkApiJob(conn, sObject, operation, externalIdFieldName, csvFilePath, {
+            confirmHardDelete: operation === 'hardDelete'
+        });
 
         console.log(chalk.blue('\n=== Final Job Status ==='));
         console.log(chalk.blue(JSON.stringify({
@@ -335,11 +385,20 @@ async function handleBulkApiJob(conn) {
             totalProcessingTime: jobStatus.totalProcessingTime
         }, null, 2)));
 
-        if (jobStatus.numberRecordsFailed > 0 || (await promptUser('Export job results to CSV? (yes/no): ')).toLowerCase() === 'yes') {
-            console.log(chalk.magenta('Successful results exported to bulk_api_successful_results.csv'));
-            if (jobStatus.numberRecordsFailed > 0) {
-                console.log(chalk.magenta('Failed results exported to bulk_api_failed_results.csv'));
-            }
+        if (jobStatus.jobs.length > 1) {
+            console.log(chalk.yellow(`The file was split into ${jobStatus.jobs.length} jobs: ${jobStatus.id}`));
+        }
+        if (jobStatus.successfulResultsFile) {
+            console.log(chalk.magenta(`Successful results exported to ${jobStatus.successfulResultsFile}`));
+        }
+        if (jobStatus.failedResultsFile) {
+            console.log(chalk.magenta(`Failed results exported to ${jobStatus.failedResultsFile}`));
+        }
+        if (jobStatus.resultsReportFile) {
+            console.log(chalk.magenta(`Results report (one row per input row) exported to ${jobStatus.resultsReportFile}`));
+        }
+        if (jobStatus.snapshotDir) {
+            console.log(chalk.magenta(`Snapshot saved to ${jobStatus.snapshotDir}. Undo with: sfu bulk rollback ${jobStatus.jobs[0].id}`));
         }
     } catch (error) {
         console.error(chalk.red('Error executing Bulk API job:', error.message));
@@ -349,27 +408,38 @@ async function handleBulkApiJob(conn) {
 // Main function
 (async () => {
     try {
-        let lastUsername = '';
-        try {
-            lastUsername = await fs.readFile(LAST_USERNAME_FILE, 'utf8');
-            lastUsername = lastUsername.trim();
-        } catch (error) {
-            // File doesn't exist or can't be read
+        const store = await loadOrgs();
+        let lastUsername = store.defaultOrg || '';
+        if (!lastUsername) {
+            try {
+                lastUsername = await fs.readFile(LAST_USERNAME_FILE, 'utf8');
+                lastUsername = lastUsername.trim();
+            } catch (error) {
+                // File doesn't exist or can't be read
+            }
         }
 
+        const aliases = Object.keys(store.orgs);
+        if (aliases.length > 0) {
+            console.log(chalk.blue('Org profiles:', aliases.join(', ')));
+        }
         const defaultPrompt = lastUsername ? ` (default: ${lastUsername})` : '';
-        const username = await promptUser(`Enter your Salesforce username${defaultPrompt}: `) || lastUsername;
+        const username = await promptUser(`Enter your Salesforce username or org alias${defaultPrompt}: `) || lastUsername;
         if (!username) {
             throw new Error('Salesforce username is required.');
         }
 
-        await fs.writeFile(LAST_USERNAME_FILE, username);
-
-        const { accessToken, instanceUrl, apiVersion } = await getSalesforceCredentials(username);
+        const profile = await resolveOrg(username);
+        const authConfig = resolveAuthConfig(profile.auth);
+        const { accessToken, instanceUrl, apiVersion: sessionApiVersion } = await getCredentials(authConfig);
+        const apiVersion = profile.apiVersion || sessionApiVersion;
         console.log(chalk.blue('Instance URL:', instanceUrl));
         console.log(chalk.blue('API Version:', apiVersion));
+        if (profile.production) {
+            console.log(chalk.red.bold('Warning: connected to a PRODUCTION org.'));
+        }
 
-        const conn = await initializeConnection(accessToken, instanceUrl, apiVersion);
+        const conn = await initializeConnection(accessToken, instanceUrl, apiVersion, authConfig);
         console.log(chalk.green('Successfully connected to Salesforce!'));
         await mainMenu(conn);
     } catch (error) {
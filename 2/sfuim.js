@@ -9,22 +9,18 @@
 // It also uses the csv-writer library to export query results to CSV files and csv-parse for reading CSV files for Bulk API.
 // The script prompts the user for input and provides options to execute different tasks.
 
-const { exec } = require('child_process');
-const util = require('util');
-const jsforce = require('jsforce');
 const readline = require('readline');
 const { createObjectCsvWriter } = require('csv-writer');
 const { parse } = require('csv-parse');
-const axios = require('axios');
 const fs = require('fs').promises;
 const chalk = require('chalk');
+const { manifestFromSourceMembers, writeManifests } = require('./lib/manifest');
+const { getCredentials, resolveAuthConfig, initializeConnection } = require('./lib/auth');
+const { sfRequest } = require('./lib/http');
 
 // Constants
 const LAST_USERNAME_FILE = 'last_username.txt';
 
-// Promisify exec to use async/await
-const execPromise = util.promisify(exec);
-
 // Create a readline interface for user input
 const rl = readline.createInterface({
     input: process.stdin,
@@ -40,32 +36,6 @@ function promptUser(question) {
     });
 }
 
-// Function to get Salesforce credentials using SFDX CLI
-async function getSalesforceCredentials(username) {
-    try {
-        const { stdout } = await execPromise(`sf org display -u ${username} --json`);
-        const result = JSON.parse(stdout);
-        const accessToken = result.result.accessToken;
-        const instanceUrl = result.result.instanceUrl;
-        const apiVersion = result.result.apiVersion || '60.0'; // Fallback to 60.0 if not found
-
-        return { accessToken, instanceUrl, apiVersion };
-    } catch (error) {
-        console.error(chalk.red('Error retrieving Salesforce credentials:', error.message));
-        throw error;
-    }
-}
-
-// Function to initialize jsforce connection
-async function initializeConnection(accessToken, instanceUrl, apiVersion) {
-    const conn = new jsforce.Connection({
-        instanceUrl: instanceUrl,
-        accessToken: accessToken
-    });
-    conn.apiVersion = apiVersion; // Store apiVersion on conn
-
-    return conn;
-}
 // Function to run SOQL query
 async function runSOQLQuery(conn) {
     try {
@@ -291,19 +261,14 @@ async function callRestApi(conn) {
 
     try {
         const headers = {
-            'Authorization': `Bearer ${conn.accessToken}`,
             'Content-Type': 'application/json'
         };
 
         let response;
-        if (method === 'GET') {
-            response = await axios.get(`${conn.instanceUrl}${relativeUrl}`, { headers });
-        } else if (method === 'POST') {
-            response = await axios.post(`${conn.instanceUrl}${relativeUrl}`, payload, { headers });
-        } else if (method === 'PATCH') {
-            response = await axios.patch(`${conn.instanceUrl}${relativeUrl}`, payload, { headers });
-        } else if (method === 'DELETE') {
-            response = await axios.delete(`${conn.instanceUrl}${relativeUrl}`, { headers });
+        if (method === 'GET' || method === 'DELETE') {
+            response = await sfRequest(conn, { method, url: relativeUrl, headers });
+        } else if (method === 'POST' || method === 'PATCH') {
+            response = await sfRequest(conn, { method, url: relativeUrl, data: payload, headers });
         }
 
         let allData = [];
@@ -326,7 +291,7 @@ async function callRestApi(conn) {
                 while (responseData.nextPageUrl || (responseData.nextRecordsUrl && !responseData.done)) {
                     const nextUrl = responseData.nextPageUrl || responseData.nextRecordsUrl;
                     console.log(chalk.yellow(`Fetching more records... (${allData.length}${responseData.totalSize ? ` of ${responseData.totalSize}` : ''} retrieved)`));
-                    response = await axios.get(`${conn.instanceUrl}${nextUrl}`, { headers });
+                    response = await sfRequest(conn, { url: nextUrl, headers });
                     responseData = response.data;
                     records = responseData[recordsKey] || [];
                     allData = allData.concat(records);
@@ -469,42 +434,14 @@ async function trackChanges(conn) {
 
         const generatePackage = await promptUser('Generate package.xml for these changes? (yes/no): ');
         if (generatePackage.toLowerCase() === 'yes') {
-            const packageXml = generatePackageXml(allRecords);
-            await fs.writeFile('package.xml', packageXml);
-            console.log(chalk.green('package.xml generated successfully.'));
+            const files = await writeManifests('.', manifestFromSourceMembers(allRecords, conn.apiVersion));
+            console.log(chalk.green(`${files.join(' and ')} generated successfully.`));
         }
     } catch (error) {
         console.error(chalk.red('Error tracking changes:', error.message));
     }
 }
 
-// Function to generate package.xml based on tracked changes
-function generatePackageXml(records) {
-    const typesMap = new Map();
-    records.forEach(record => {
-        if (!typesMap.has(record.MemberType)) {
-            typesMap.set(record.MemberType, []);
-        }
-        typesMap.get(record.MemberType).push(record.MemberName);
-    });
-
-    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
-    xml += '<Package xmlns="http://soap.sforce.com/2006/04/metadata">\n';
-
-    for (const [type, members] of typesMap) {
-        xml += '    <types>\n';
-        members.forEach(member => {
-            xml += `        <members>${member}</members>\n`;
-        });
-        xml += `        <name>${type}</name>\n`;
-        xml += '    </types>\n';
-    }
-
-    xml += '    <version>59.0</version>\n';
-    xml += '</Package>';
-    return xml;
-}
-
 // Function to run Bulk API 2.0 job
 
 // Function to run Bulk API 2.0 job using REST API
@@ -790,11 +727,13 @@ async function mainMenu(conn) {
 
         await fs.writeFile(LAST_USERNAME_FILE, username);
 
-        const { accessToken, instanceUrl, apiVersion } = await getSalesforceCredentials(username);
+        // The auth config also lets expired sessions be refreshed for jsforce and sfRequest calls
+        const authConfig = resolveAuthConfig({ username });
+        const { accessToken, instanceUrl, apiVersion } = await getCredentials(authConfig);
         console.log(chalk.blue('Instance URL:', instanceUrl));
         console.log(chalk.blue('API Version:', apiVersion));
 
-        const conn = await initializeConnection(accessToken, instanceUrl, apiVersion);
+        const conn = initializeConnection(accessToken, instanceUrl, apiVersion, authConfig);
         console.log(chalk.green('Successfully connected to Salesforce!'));
         await mainMenu(conn);
     } catch (error) {
@@ -0,0 +1,44 @@
+// test/bulkreport.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { parseBulkError, writeResultsReport, errorSummaryPath } = require('../lib/bulkreport');
+
+test('parseBulkError splits the code, message and fields', () => {
+    assert.deepStrictEqual(parseBulkError('REQUIRED_FIELD_MISSING:Required fields are missing: [LastName]:LastName --'),
+        { code: 'REQUIRED_FIELD_MISSING', message: 'Required fields are missing: [LastName]', fields: ['LastName'] });
+    assert.deepStrictEqual(parseBulkError('DUPLICATE_VALUE:duplicate value found:: --'),
+        { code: 'DUPLICATE_VALUE', message: 'duplicate value found:', fields: [] });
+    assert.strictEqual(errorSummaryPath('out/bulk_api_results.csv'), 'out/bulk_api_results_summary.csv');
+});
+
+test('report lines are file lines, with CRLF inside quoted values counted once', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfu-test-'));
+    try {
+        const input = path.join(dir, 'input.csv');
+        fs.writeFileSync(input, 'Name,Description\r\nA,one\r\nB,"two\r\nlines\r\nhere"\r\n\r\nC,three\r\nD,four\r\n');
+        const successful = path.join(dir, 'successful.csv');
+        fs.writeFileSync(successful, 'sf__Id,sf__Created,Name,Description\n001000000000001AAA,true,A,one\n001000000000003AAA,true,C,three\n');
+        const failed = path.join(dir, 'failed.csv');
+        fs.writeFileSync(failed, 'sf__Id,sf__Error,Name,Description\n,"STRING_TOO_LONG:Description: data value too large:Description --",B,"two\r\nlines\r\nhere"\n');
+        const reportFile = path.join(dir, 'report.csv');
+
+        const result = await writeResultsReport(input, { successfulResultsFile: successful, failedResultsFile: failed, reportFile });
+        const rows = parse(fs.readFileSync(reportFile), { columns: true });
+        assert.deepStrictEqual(rows.map(row => [row.Line, row.Status, row.Name]), [
+            ['2', 'Success', 'A'],
+            ['3', 'Failed', 'B'],
+            ['7', 'Success', 'C'],
+            ['8', 'Not processed', 'D']
+        ]);
+        assert.strictEqual(rows[1].ErrorCode, 'STRING_TOO_LONG');
+        assert.strictEqual(rows[1].ErrorFields, 'Description');
+        assert.deepStrictEqual(result.counts, { Success: 2, Failed: 1, 'Not processed': 1 });
+        assert.deepStrictEqual(result.errorSummary.map(entry => [entry.errorCode, entry.field, entry.count]), [['STRING_TOO_LONG', 'Description', 1]]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
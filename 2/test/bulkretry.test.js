@@ -0,0 +1,23 @@
+// test/bulkretry.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { stripResultColumns, unprocessedRows } = require('../lib/bulkretry');
+
+test('stripResultColumns drops the sf__ columns of a failed row', () => {
+    assert.deepStrictEqual(stripResultColumns({ sf__Id: '', sf__Error: 'X:y --', Name: 'Acme', Phone: '' }), { Name: 'Acme', Phone: '' });
+});
+
+test('rows in neither results file are unprocessed; identical rows are matched one for one', () => {
+    const rows = [
+        { Name: 'A', sf__Error: 'UNABLE_TO_LOCK_ROW:x --' },
+        { Name: 'B' },
+        { Name: 'B' },
+        { Name: 'C' }
+    ];
+    const processed = [
+        { sf__Id: '001000000000001AAA', sf__Created: 'false', Name: 'B' },
+        { sf__Id: '', sf__Error: 'UNABLE_TO_LOCK_ROW:x --', Name: 'A' }
+    ];
+    assert.deepStrictEqual(unprocessedRows(rows, processed, ['Name']), [{ Name: 'B' }, { Name: 'C' }]);
+    assert.deepStrictEqual(unprocessedRows(rows, [], ['Name']), rows);
+});
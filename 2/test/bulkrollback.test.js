@@ -0,0 +1,66 @@
+// test/bulkrollback.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'sfu-test-'));
+process.env.SFU_HOME = home;
+const { saveSnapshot, findSnapshot } = require('../lib/bulksnapshot');
+const { writeRestoreFile } = require('../lib/bulkrollback');
+
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const JOB_1 = '750000000000001AAA';
+const JOB_2 = '750000000000002AAA';
+
+async function createSnapshot(content) {
+    // takeSnapshot writes a pending snapshot under the backup root; saveSnapshot moves it under the first job Id
+    fs.mkdirSync(path.join(home, 'backups'), { recursive: true });
+    const dir = fs.mkdtempSync(path.join(home, 'backups', 'pending-'));
+    fs.writeFileSync(path.join(dir, 'snapshot.csv'), content);
+    await saveSnapshot({ dir, sObject: 'Account', operation: 'update', fields: ['Name', 'Phone'], recordCount: 3 }, [JOB_1, JOB_2]);
+    return findSnapshot(JOB_2);
+}
+
+test('a snapshot is found by any of its job Ids', async () => {
+    const snapshot = await createSnapshot('Id,Name,Phone\n001000000000001AAA,Acme,#N/A\n');
+    assert.strictEqual(snapshot.dir, path.join(home, 'backups', JOB_1));
+    assert.deepStrictEqual(snapshot.jobIds, [JOB_1, JOB_2]);
+    assert.strictEqual((await findSnapshot(JOB_1)).dir, snapshot.dir);
+    await assert.rejects(findSnapshot('750000000000009AAA'), /No snapshot found for job 750000000000009AAA/);
+});
+
+test('job Ids that are not Salesforce Ids are refused before any path is built', async () => {
+    await assert.rejects(findSnapshot('../../etc'), /Invalid job Id "\.\.\/\.\.\/etc"/);
+    await assert.rejects(findSnapshot(''), /Invalid job Id/);
+});
+
+test('only records the job changed are restored, with their saved values', async () => {
+    const snapshot = await createSnapshot([
+        'Id,Name,Phone',
+        '001000000000001AAA,Acme,#N/A',
+        '001000000000002AAA,Globex,555',
+        '001000000000003AAA,Initech,777'
+    ].join('\n') + '\n');
+    const restoreFile = path.join(home, 'restore.csv');
+    const changedIds = new Set(['001000000000001AAA', '001000000000003AAA']);
+
+    const count = await writeRestoreFile(snapshot, restoreFile, ['Id', 'Name', 'Phone'], changedIds, false);
+    assert.strictEqual(count, 2);
+    assert.deepStrictEqual(fs.readFileSync(restoreFile, 'utf8').trim().split('\n'), [
+        'Id,Name,Phone',
+        '001000000000001AAA,Acme,#N/A',
+        '001000000000003AAA,Initech,777'
+    ]);
+});
+
+test('re-inserted records leave cleared fields blank, and without job results every record is restored', async () => {
+    const snapshot = await createSnapshot('Id,Name,Phone\n001000000000001AAA,Acme,#N/A\n001000000000002AAA,Globex,555\n');
+    const restoreFile = path.join(home, 'restore.csv');
+
+    const count = await writeRestoreFile(snapshot, restoreFile, ['Name', 'Phone'], null, true);
+    assert.strictEqual(count, 2);
+    assert.deepStrictEqual(fs.readFileSync(restoreFile, 'utf8').trim().split('\n'), ['Name,Phone', 'Acme,', 'Globex,555']);
+});
@@ -0,0 +1,69 @@
+// test/bulkvalidate.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateBulkCsv } = require('../lib/bulkvalidate');
+
+const describe = {
+    name: 'Contact',
+    fields: [
+        { name: 'Id', type: 'id' },
+        { name: 'LastName', type: 'string', length: 10, createable: true, updateable: true },
+        { name: 'Birthdate', type: 'date', createable: true, updateable: true, nillable: true },
+        { name: 'LastCall__c', type: 'datetime', createable: true, updateable: true, nillable: true },
+        { name: 'CreatedDate', type: 'datetime', nillable: true },
+        { name: 'AccountId', type: 'reference', relationshipName: 'Account', createable: true, updateable: true, nillable: true }
+    ]
+};
+
+async function validate(content, options) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfu-test-'));
+    try {
+        const filePath = path.join(dir, 'data.csv');
+        fs.writeFileSync(filePath, content);
+        return await validateBulkCsv(describe, filePath, options);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const summary = problems => problems.map(problem => [problem.row, problem.column, problem.field, problem.message]);
+
+test('header problems are reported on line 1; missing columns have no column number', async () => {
+    const { problems } = await validate('LastName,Nickname,CreatedDate,Account.Legacy_Id__c\nSmith,x,,A-1\n', { operation: 'update' });
+    assert.deepStrictEqual(summary(problems), [
+        [1, 2, 'Nickname', 'Unknown field on Contact.'],
+        [1, 3, 'CreatedDate', 'Field is not updateable.'],
+        [1, '', 'Id', 'An Id column is required for update.']
+    ]);
+});
+
+test('value problems carry the file line, counting blank and multi-line rows', async () => {
+    const { rowCount, problems } = await validate([
+        'LastName,Birthdate,LastCall__c',
+        '"Multi',
+        'Line",2024-02-30,',
+        '',
+        'Smith,2024-01-01,2024-01-01T25:00:00Z',
+        'Jones,,2024-01-01T23:59:60Z',
+        'ThisNameIsTooLong,,2024-01-01T23:59:59Z',
+        'Extra,,,value'
+    ].join('\n') + '\n', { operation: 'insert' });
+    assert.strictEqual(rowCount, 5);
+    assert.deepStrictEqual(summary(problems), [
+        [2, 2, 'Birthdate', 'Not a valid date (YYYY-MM-DD).'],
+        [5, 3, 'LastCall__c', 'Not a valid datetime (YYYY-MM-DDThh:mm:ssZ).'],
+        [6, 3, 'LastCall__c', 'Not a valid datetime (YYYY-MM-DDThh:mm:ssZ).'],
+        [7, 1, 'LastName', 'Value is 17 characters; the maximum is 10.'],
+        [8, '', '', 'Row has 4 values; the header has 3 columns.']
+    ]);
+});
+
+test('only the first maxProblems are kept', async () => {
+    const result = await validate('Id\nbad1\nbad2\nbad3\n', { operation: 'delete', maxProblems: 2 });
+    assert.strictEqual(result.problemCount, 3);
+    assert.strictEqual(result.problems.length, 2);
+    assert.strictEqual(result.truncated, true);
+});
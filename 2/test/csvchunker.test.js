@@ -0,0 +1,84 @@
+// test/csvchunker.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { readCsvRecords, chunkCsvFile, resolveCsvFormat } = require('../lib/csvchunker');
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+}
+
+function writeTempCsv(content) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sfu-test-'));
+    const filePath = path.join(dir, 'data.csv');
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+test('readCsvRecords keeps CRLF inside quoted values in one record', async () => {
+    const csv = 'Id,Description\r\n1,"line one\r\nline two"\r\n2,plain\r\n';
+    const records = await collect(readCsvRecords(Readable.from([csv])));
+    assert.deepStrictEqual(records, ['Id,Description\r\n', '1,"line one\r\nline two"\r\n', '2,plain\r\n']);
+});
+
+test('readCsvRecords handles records split across stream chunks and escaped quotes', async () => {
+    const records = await collect(readCsvRecords(Readable.from(['Id,Name\n1,"say ""hi', '""\nthere"\n2,b'])));
+    assert.deepStrictEqual(records, ['Id,Name\n', '1,"say ""hi""\nthere"\n', '2,b\n']);
+});
+
+test('readCsvRecords rejects an unbalanced quote', async () => {
+    await assert.rejects(collect(readCsvRecords(Readable.from(['Id,Name\n1,"open\n']))), /unbalanced double quote/);
+});
+
+test('chunkCsvFile repeats the header, skips blank lines and never splits a quoted CRLF', async () => {
+    const filePath = writeTempCsv('Id,Description\r\n1,"a\r\nb"\r\n\r\n2,c\r\n3,d\r\n');
+    try {
+        const chunks = await collect(chunkCsvFile(filePath, { chunkRecords: 2 }));
+        assert.deepStrictEqual(chunks.map(chunk => chunk.content), [
+            'Id,Description\r\n1,"a\r\nb"\r\n2,c\r\n',
+            'Id,Description\r\n3,d\r\n'
+        ]);
+        assert.deepStrictEqual(chunks.map(chunk => chunk.recordCount), [2, 1]);
+    } finally {
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    }
+});
+
+test('chunkCsvFile cuts chunks by byte size including the header', async () => {
+    const filePath = writeTempCsv('Id\n1111\n2222\n3333\n');
+    try {
+        const chunks = await collect(chunkCsvFile(filePath, { chunkBytes: 13 }));
+        assert.deepStrictEqual(chunks.map(chunk => chunk.content), ['Id\n1111\n2222\n', 'Id\n3333\n']);
+        assert.ok(chunks.every(chunk => Buffer.byteLength(chunk.content) <= 13));
+        await assert.rejects(collect(chunkCsvFile(filePath, { chunkBytes: 5 })), /exceeds the chunk size/);
+    } finally {
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    }
+});
+
+test('resolveCsvFormat detects the delimiter and line ending from the header, ignoring quoted text', async () => {
+    const filePath = writeTempCsv('\uFEFF"Name, full";Phone;Email\r\n"A, B";1;a@example.com\r\n');
+    try {
+        assert.deepStrictEqual(await resolveCsvFormat(filePath), { columnDelimiter: 'SEMICOLON', lineEnding: 'CRLF' });
+        assert.deepStrictEqual(await resolveCsvFormat(filePath, { columnDelimiter: '\\t', lineEnding: 'lf' }), { columnDelimiter: 'TAB', lineEnding: 'LF' });
+        await assert.rejects(resolveCsvFormat(filePath, { columnDelimiter: '#' }), /Invalid delimiter "#"/);
+        await assert.rejects(resolveCsvFormat(filePath, { lineEnding: 'CR' }), /Invalid line ending "CR"/);
+    } finally {
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    }
+});
+
+test('chunkCsvFile ends a last record without a line ending with the job line ending', async () => {
+    const filePath = writeTempCsv('Id;Name\r\n1;a\r\n2;b');
+    try {
+        const chunks = await collect(chunkCsvFile(filePath, { delimiter: ';', lineEnding: 'CRLF' }));
+        assert.deepStrictEqual(chunks.map(chunk => chunk.content), ['Id;Name\r\n1;a\r\n2;b\r\n']);
+    } finally {
+        fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+    }
+});
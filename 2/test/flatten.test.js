@@ -0,0 +1,56 @@
+// test/flatten.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { parseSelectFields, createRecordFlattener } = require('../lib/flatten');
+
+const account = {
+    attributes: { type: 'Account', url: '/services/data/v60.0/sobjects/Account/001000000000001AAA' },
+    Id: '001000000000001AAA',
+    Name: 'Acme',
+    Owner: { attributes: { type: 'User' }, Name: 'Ann', Profile: { attributes: { type: 'Profile' }, Name: 'Admin' } },
+    Contacts: {
+        totalSize: 2,
+        done: true,
+        records: [
+            { attributes: { type: 'Contact' }, LastName: 'One', Email: 'one@example.com' },
+            { attributes: { type: 'Contact' }, LastName: 'Two', Email: null }
+        ]
+    }
+};
+const query = 'SELECT Id, Name, Owner.Profile.Name, owner.name, (SELECT LastName, Email FROM Contacts) FROM Account';
+
+test('parseSelectFields keeps the SELECT order, aliases and subqueries', () => {
+    const fields = parseSelectFields("SELECT Id, toLabel(Status__c), COUNT(Id) total, MAX(Amount), (SELECT Id FROM Contacts WHERE Name = 'a, b') FROM Account");
+    assert.deepStrictEqual(fields.map(field => field.name), ['Id', 'Status__c', 'total', 'expr0', 'Contacts']);
+    assert.strictEqual(fields[4].type, 'subquery');
+    assert.strictEqual(parseSelectFields('not a query'), null);
+});
+
+test('relationship fields become dot-notation columns in query order, matched case-insensitively', () => {
+    const flattener = createRecordFlattener(query);
+    const { rows } = flattener.flatten(account);
+    assert.deepStrictEqual(flattener.columns, ['Id', 'Name', 'Owner.Profile.Name', 'owner.name', 'Contacts']);
+    assert.strictEqual(rows[0]['Owner.Profile.Name'], 'Admin');
+    assert.strictEqual(rows[0]['owner.name'], 'Ann');
+    assert.deepStrictEqual(JSON.parse(rows[0].Contacts), [
+        { LastName: 'One', Email: 'one@example.com' },
+        { LastName: 'Two', Email: null }
+    ]);
+});
+
+test('explode mode repeats the parent columns for each child record', () => {
+    const { rows } = createRecordFlattener(query, { childMode: 'explode' }).flatten(account);
+    assert.deepStrictEqual(rows.map(row => [row.Name, row['Contacts.LastName']]), [['Acme', 'One'], ['Acme', 'Two']]);
+});
+
+test('files mode returns child rows linked by ParentId', () => {
+    const flattener = createRecordFlattener(query, { childMode: 'files' });
+    const { rows, children } = flattener.flatten(account);
+    assert.strictEqual(rows.length, 1);
+    assert.deepStrictEqual(flattener.childColumns('Contacts'), ['ParentId', 'LastName', 'Email']);
+    assert.deepStrictEqual(children.Contacts[0], { ParentId: '001000000000001AAA', LastName: 'One', Email: 'one@example.com' });
+});
+
+test('an unknown child mode is rejected', () => {
+    assert.throws(() => createRecordFlattener(query, { childMode: 'xml' }), /Invalid child mode "xml"/);
+});
@@ -0,0 +1,59 @@
+// test/manifest.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    parsePackageXml,
+    toPackageXml,
+    manifestFromSourceMembers,
+    mergeManifests,
+    subtractManifests,
+    diffManifests,
+    countMembers
+} = require('../lib/manifest');
+
+const manifest = (types, version = '60.0') => ({
+    types: Object.keys(types).map(name => ({ name, members: types[name] })),
+    version
+});
+
+test('toPackageXml dedupes, sorts and escapes members and round-trips through parsePackageXml', () => {
+    const xml = toPackageXml(manifest({ CustomObject: ['B__c', 'A__c', 'B__c'], ApexClass: ['Foo', '*'], Layout: ['Account-Sales & <Ops>'] }));
+    assert.match(xml, /<members>Account-Sales &amp; &lt;Ops&gt;<\/members>/);
+    assert.match(xml, /<version>60\.0<\/version>/);
+    assert.deepStrictEqual(parsePackageXml(xml), manifest({
+        ApexClass: ['*', 'Foo'],
+        CustomObject: ['A__c', 'B__c'],
+        Layout: ['Account-Sales & <Ops>']
+    }));
+    assert.doesNotMatch(toPackageXml(manifest({ ApexClass: ['Foo'] }), { includeVersion: false }), /<version>/);
+});
+
+test('manifestFromSourceMembers decides each member by its latest revision', () => {
+    const { manifest: deploy, destructiveManifest } = manifestFromSourceMembers([
+        { MemberType: 'ApexClass', MemberName: 'Foo', RevisionCounter: 1, IsNameObsolete: true },
+        { MemberType: 'ApexClass', MemberName: 'Foo', RevisionCounter: 2, IsNameObsolete: false },
+        { MemberType: 'ApexClass', MemberName: 'Bar', RevisionCounter: 3, IsNameObsolete: 'true' },
+        { MemberType: 'ApexClass', MemberName: 'Baz', RevisionCounter: 4, IsNameObsolete: false },
+        { MemberType: 'ApexClass', MemberName: 'Baz', RevisionCounter: 1, IsNameObsolete: false }
+    ], '61.0');
+    assert.deepStrictEqual(deploy, manifest({ ApexClass: ['Baz', 'Foo'] }, '61.0'));
+    assert.deepStrictEqual(destructiveManifest, manifest({ ApexClass: ['Bar'] }, '61.0'));
+});
+
+test('mergeManifests unions members and keeps the highest version', () => {
+    const merged = mergeManifests(manifest({ ApexClass: ['A'] }, '9.0'), manifest({ ApexClass: ['B', 'A'], Flow: ['F'] }, '60.0'));
+    assert.deepStrictEqual(merged, manifest({ ApexClass: ['A', 'B'], Flow: ['F'] }, '60.0'));
+    assert.strictEqual(countMembers(merged), 3);
+});
+
+test('subtractManifests removes members, and a wildcard removes the whole type', () => {
+    const base = manifest({ ApexClass: ['A', 'B'], Flow: ['F', 'G'] });
+    assert.deepStrictEqual(subtractManifests(base, manifest({ ApexClass: ['A'], Flow: ['*'] })), manifest({ ApexClass: ['B'] }));
+    assert.deepStrictEqual(subtractManifests(base, manifest({ ApexClass: ['A', 'B'] })), manifest({ Flow: ['F', 'G'] }));
+});
+
+test('diffManifests reports added and removed members', () => {
+    const { added, removed } = diffManifests(manifest({ ApexClass: ['A', 'B'] }), manifest({ ApexClass: ['B', 'C'], Flow: ['F'] }));
+    assert.deepStrictEqual(added, manifest({ ApexClass: ['C'], Flow: ['F'] }));
+    assert.deepStrictEqual(removed, manifest({ ApexClass: ['A'] }));
+});
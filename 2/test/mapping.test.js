@@ -0,0 +1,59 @@
+// test/mapping.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { compileMapping, createRowMapper } = require('../lib/mapping');
+
+function mapRows(document, headers, rows) {
+    const mapRow = createRowMapper(compileMapping(document), headers);
+    return rows.map((values, index) => mapRow(values, index + 2));
+}
+
+test('fields are renamed, trimmed, looked up, concatenated and defaulted', () => {
+    const rows = mapRows({
+        fields: {
+            LastName: 'surname',
+            FirstName: { source: 'Given Name', trim: true },
+            LeadSource: { source: 'Channel', lookup: { web: 'Web', tel: 'Phone Inquiry' }, default: 'Other' },
+            Description: { concat: ['Note 1', 'Note 2'], separator: ' - ' },
+            Country: { default: 'US' }
+        }
+    }, ['Surname', 'Given Name', 'Channel', 'Note 1', 'Note 2'], [
+        ['Smith', '  Ann ', 'web', 'a', 'b'],
+        ['Jones', 'Bo', '', '', 'only']
+    ]);
+    assert.deepStrictEqual(rows, [
+        ['Smith', 'Ann', 'Web', 'a - b', 'US'],
+        ['Jones', 'Bo', 'Other', 'only', 'US']
+    ]);
+});
+
+test('two-digit years use the default pivot of 50', () => {
+    const rows = mapRows({ fields: { Birthdate: { source: 'DOB', date: { from: 'DD/MM/YY' } } } }, ['DOB'],
+        [['01/02/85'], ['01/02/49'], ['01/02/50'], ['29/02/00']]);
+    assert.deepStrictEqual(rows, [['1985-02-01'], ['2049-02-01'], ['1950-02-01'], ['2000-02-29']]);
+});
+
+test('a custom pivot moves the century boundary', () => {
+    const rows = mapRows({ fields: { Joined: { source: 'Start', date: { from: 'YY-M-D', to: 'DD.MM.YYYY', pivot: 90 } } } }, ['Start'],
+        [['85-3-7'], ['95-12-31']]);
+    assert.deepStrictEqual(rows, [['07.03.2085'], ['31.12.1995']]);
+    assert.throws(() => compileMapping({ fields: { Joined: { source: 'Start', date: { from: 'YY', pivot: 101 } } } }),
+        /date pivot must be a whole number from 0 to 100/);
+});
+
+test('out-of-range date parts are rejected with the row number', () => {
+    const mapping = { fields: { Birthdate: { source: 'DOB', date: { from: 'DD/MM/YYYY HH:mm' } } } };
+    assert.throws(() => mapRows(mapping, ['DOB'], [['31/04/2024 10:00']]), /Row 2, Birthdate: "31\/04\/2024 10:00" is not a valid date/);
+    assert.throws(() => mapRows(mapping, ['DOB'], [['29/02/2023 10:00']]), /not a valid date/);
+    assert.throws(() => mapRows(mapping, ['DOB'], [['01/13/2024 10:00']]), /not a valid date/);
+    assert.throws(() => mapRows(mapping, ['DOB'], [['01/01/2024 24:00']]), /not a valid date/);
+    assert.throws(() => mapRows(mapping, ['DOB'], [['2024-01-01']]), /does not match the date pattern DD\/MM\/YYYY HH:mm/);
+});
+
+test('strict lookups and missing columns fail clearly', () => {
+    assert.throws(() => mapRows({ fields: { Type: { source: 'Kind', lookup: { a: 'A' }, strict: true } } }, ['Kind'], [['b']]),
+        /Row 2, Type: "b" is not in the lookup table/);
+    assert.throws(() => mapRows({ fields: { Type: 'Kind' } }, ['Other'], []),
+        /Mapped column\(s\) not found in the CSV header: Kind \(for Type\)/);
+    assert.throws(() => compileMapping({ fields: { Type: { source: 'a', concat: ['b'] } } }), /cannot have both source and concat/);
+});
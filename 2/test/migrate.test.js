@@ -0,0 +1,116 @@
+// test/migrate.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { compilePlan, planFields, prepareLoadFile, recordNewIds } = require('../lib/migrate');
+
+const accountDescribe = {
+    fields: [
+        { name: 'Id', type: 'id' },
+        { name: 'Name', type: 'string', createable: true },
+        { name: 'OwnerId', type: 'reference', referenceTo: ['User'], createable: true },
+        { name: 'ParentId', type: 'reference', referenceTo: ['Account'], createable: true },
+        { name: 'Legacy_Id__c', type: 'string', createable: true, externalId: true },
+        { name: 'Note__c', type: 'string', createable: true }
+    ]
+};
+const contactDescribe = {
+    fields: [
+        { name: 'Id', type: 'id' },
+        { name: 'LastName', type: 'string', createable: true },
+        { name: 'AccountId', type: 'reference', referenceTo: ['Account'], createable: true }
+    ]
+};
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'sfu-test-'));
+}
+
+function readCsvLines(filePath) {
+    return fs.readFileSync(filePath, 'utf8').trim().split('\n');
+}
+
+function newStats() {
+    return { extracted: 0, ambiguousMatches: 0, unresolvedLookups: 0 };
+}
+
+const rowsWriter = () => {
+    const rows = [];
+    return { rows, writeRecords: async batch => { rows.push(...batch); } };
+};
+
+test('an explicit field list may not name lookups to objects outside the plan', () => {
+    const plan = compilePlan({ objects: [{ sobject: 'Account', fields: ['Name', 'OwnerId'] }] });
+    assert.throws(() => planFields(plan[0], 0, plan, accountDescribe, accountDescribe),
+        /Account: lookup field\(s\) OwnerId \(User\) point to objects outside the plan/);
+});
+
+test('the default field list drops outside lookups and defers self lookups', () => {
+    const plan = compilePlan({ objects: ['Account', 'Contact'] });
+    const account = planFields(plan[0], 0, plan, accountDescribe, accountDescribe);
+    assert.deepStrictEqual(account.fields, ['Name', 'ParentId', 'Legacy_Id__c', 'Note__c']);
+    assert.deepStrictEqual(account.lookups, [{ name: 'ParentId', deferred: true }]);
+    assert.strictEqual(account.correlationField, null);
+    const contact = planFields(plan[1], 1, plan, contactDescribe, contactDescribe);
+    assert.deepStrictEqual(contact.lookups, [{ name: 'AccountId', deferred: false }]);
+});
+
+test('externalId must be a createable external Id field and is not copied as a value', () => {
+    const plan = compilePlan({ objects: [{ sobject: 'Account', externalId: 'legacy_id__c' }] });
+    const { fields, correlationField } = planFields(plan[0], 0, plan, accountDescribe, accountDescribe);
+    assert.strictEqual(correlationField, 'Legacy_Id__c');
+    assert.ok(!fields.includes('Legacy_Id__c'));
+    const badPlan = compilePlan({ objects: [{ sobject: 'Account', externalId: 'Note__c' }] });
+    assert.throws(() => planFields(badPlan[0], 0, badPlan, accountDescribe, accountDescribe),
+        /externalId Note__c must be a createable external Id field/);
+});
+
+test('rows with identical values are counted as ambiguous matches', async () => {
+    const dir = tempDir();
+    try {
+        const extractFile = path.join(dir, 'extract.csv');
+        fs.writeFileSync(extractFile, 'Id,LastName,AccountId\nS1,Smith,A1\nS2,Smith,A1\nS3,Jones,A9\n');
+        const stats = newStats();
+        const deferredRows = [];
+        const idMap = new Map([['A1', 'T1']]);
+        const lookups = [{ name: 'AccountId', deferred: false }];
+        await prepareLoadFile(extractFile, path.join(dir, 'load.csv'), ['LastName', 'AccountId'], null, lookups, idMap, deferredRows, stats);
+        assert.deepStrictEqual(readCsvLines(path.join(dir, 'load.csv')), ['LastName,AccountId', 'Smith,T1', 'Smith,T1', 'Jones,']);
+        assert.strictEqual(stats.extracted, 3);
+        assert.strictEqual(stats.ambiguousMatches, 2);
+        assert.strictEqual(stats.unresolvedLookups, 1);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('with a correlation field new Ids are matched on the loaded source Id, in any result order', async () => {
+    const dir = tempDir();
+    try {
+        const extractFile = path.join(dir, 'extract.csv');
+        fs.writeFileSync(extractFile, 'Id,Name,ParentId\nS1,Acme,\nS2,Acme,S1\n');
+        const stats = newStats();
+        const deferredRows = [];
+        const lookups = [{ name: 'ParentId', deferred: true }];
+        const loadFile = path.join(dir, 'load.csv');
+        const sourceIdsByKey = await prepareLoadFile(extractFile, loadFile, ['Name', 'ParentId'], 'Legacy_Id__c', lookups, new Map(), deferredRows, stats);
+        assert.deepStrictEqual(readCsvLines(loadFile), ['Name,ParentId,Legacy_Id__c', 'Acme,,S1', 'Acme,,S2']);
+        assert.strictEqual(stats.ambiguousMatches, 0);
+        assert.deepStrictEqual(deferredRows, [{ sourceId: 'S2', values: { ParentId: 'S1' } }]);
+
+        const successfulFile = path.join(dir, 'successful.csv');
+        fs.writeFileSync(successfulFile, 'sf__Id,sf__Created,Name,ParentId,Legacy_Id__c\nT2,true,Acme,,S2\nT1,true,Acme,,S1\n');
+        const idMap = new Map();
+        const idMapWriter = rowsWriter();
+        await recordNewIds({ sobject: 'Account' }, ['Name', 'ParentId'], 'Legacy_Id__c', sourceIdsByKey, successfulFile, idMap, idMapWriter);
+        assert.deepStrictEqual(Array.from(idMap.entries()), [['S2', 'T2'], ['S1', 'T1']]);
+        assert.deepStrictEqual(idMapWriter.rows, [
+            { sobject: 'Account', sourceId: 'S2', targetId: 'T2' },
+            { sobject: 'Account', sourceId: 'S1', targetId: 'T1' }
+        ]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
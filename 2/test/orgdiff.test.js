@@ -0,0 +1,111 @@
+// test/orgdiff.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const { diffLines, diffOrgs, deltaManifests } = require('../lib/orgdiff');
+
+// files is the content of the retrieve zip; like jsforce, retrieve() returns a thenable without catch()
+function metadataConnection(members, files = {}) {
+    return {
+        apiVersion: '60.0',
+        metadata: {
+            list: async ([query]) => members[query.folder ? `${query.type}/${query.folder}` : query.type] || [],
+            retrieve: () => {
+                const request = Promise.resolve({ id: '09S000000000001AAA' });
+                return { then: (onResolve, onReject) => request.then(onResolve, onReject) };
+            },
+            checkRetrieveStatus: async () => {
+                const zip = new JSZip();
+                Object.keys(files).forEach(name => zip.file(name, files[name]));
+                return { done: true, status: 'Succeeded', zipFile: await zip.generateAsync({ type: 'base64' }) };
+            }
+        }
+    };
+}
+
+const objectXml = (industryLength, ratingLabel) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<CustomObject xmlns="http://soap.sforce.com/2006/04/metadata">',
+    '    <fields>',
+    '        <fullName>Industry__c</fullName>',
+    `        <length>${industryLength}</length>`,
+    '    </fields>',
+    '    <fields>',
+    '        <fullName>Rating__c</fullName>',
+    `        <label>${ratingLabel}</label>`,
+    '    </fields>',
+    '</CustomObject>'
+].join('\n');
+
+test('diffLines trims the common prefix and suffix and aligns the rest', () => {
+    assert.deepStrictEqual(diffLines('a\nb\nX\nd', 'a\nb\nc\nd'), ['@@ line 3 @@', '- c', '+ X']);
+    assert.deepStrictEqual(diffLines('a\nnew\nb', 'a\nb'), ['@@ line 2 @@', '+ new']);
+});
+
+test('members are compared by type and fullName, and folder-based types are listed per folder', async () => {
+    const source = metadataConnection({
+        ApexClass: [
+            { fullName: 'Same', lastModifiedDate: '2024-01-01' },
+            { fullName: 'Changed', lastModifiedDate: '2024-02-01' },
+            { fullName: 'New', lastModifiedDate: '2024-03-01' }
+        ],
+        ReportFolder: [{ fullName: 'Sales' }],
+        'Report/Sales': [{ fullName: 'Sales/Pipeline', lastModifiedDate: '2024-01-01' }],
+        'Report/unfiled$public': [{ fullName: 'unfiled$public/Mine', lastModifiedDate: '2024-01-01' }]
+    });
+    const target = metadataConnection({
+        ApexClass: [
+            { fullName: 'Same', lastModifiedDate: '2024-01-01' },
+            { fullName: 'Changed', lastModifiedDate: '2023-12-01' },
+            { fullName: 'Gone', lastModifiedDate: '2023-01-01' }
+        ],
+        ReportFolder: [{ fullName: 'Sales' }],
+        'Report/Sales': [{ fullName: 'Sales/Pipeline', lastModifiedDate: '2024-01-01' }]
+    });
+
+    const { rows, unchangedCount } = await diffOrgs(source, target, { types: ['ApexClass', 'Report'], log: () => {} });
+    assert.deepStrictEqual(rows.map(row => [row.type, row.fullName, row.status]), [
+        ['ApexClass', 'Changed', 'changed'],
+        ['ApexClass', 'Gone', 'removed'],
+        ['ApexClass', 'New', 'added'],
+        ['Report', 'unfiled$public/Mine', 'added']
+    ]);
+    assert.strictEqual(unchangedCount, 2);
+
+    const { manifest, destructiveManifest } = deltaManifests(rows, '60.0');
+    assert.deepStrictEqual(manifest.types, [
+        { name: 'ApexClass', members: ['Changed', 'New'] },
+        { name: 'Report', members: ['unfiled$public/Mine'] }
+    ]);
+    assert.deepStrictEqual(destructiveManifest.types, [{ name: 'ApexClass', members: ['Gone'] }]);
+});
+
+test('content comparison retrieves both orgs and compares child types by their own element', async () => {
+    const member = (fullName, fileName, date) => ({ fullName, fileName, lastModifiedDate: date });
+    const source = metadataConnection({
+        ApexClass: [member('Foo', 'classes/Foo.cls', '2024-02-01'), member('Bar', 'classes/Bar.cls', '2024-02-01')],
+        CustomField: [member('Account.Industry__c', 'objects/Account.object', '2024-02-01'), member('Account.Rating__c', 'objects/Account.object', '2024-02-01')]
+    }, {
+        'classes/Foo.cls': 'public class Foo {\n    Integer x = 2;\n}',
+        'classes/Bar.cls': 'public class Bar {}',
+        'objects/Account.object': objectXml(80, 'Rating')
+    });
+    const target = metadataConnection({
+        ApexClass: [member('Foo', 'classes/Foo.cls', '2024-01-01'), member('Bar', 'classes/Bar.cls', '2024-01-01')],
+        CustomField: [member('Account.Industry__c', 'objects/Account.object', '2024-01-01'), member('Account.Rating__c', 'objects/Account.object', '2024-01-01')]
+    }, {
+        'classes/Foo.cls': 'public class Foo {\n    Integer x = 1;\n}',
+        'classes/Bar.cls': 'public class Bar {}',
+        'objects/Account.object': objectXml(40, 'Rating')
+    });
+
+    const { rows, unchangedCount, diffs } = await diffOrgs(source, target, { types: ['ApexClass', 'CustomField'], content: true, log: () => {} });
+    assert.deepStrictEqual(rows.map(row => [row.type, row.fullName, row.status]), [
+        ['ApexClass', 'Foo', 'changed'],
+        ['CustomField', 'Account.Industry__c', 'changed']
+    ]);
+    assert.strictEqual(unchangedCount, 2);
+    assert.deepStrictEqual(diffs[0].files, [{ fileName: 'classes/Foo.cls', lines: ['@@ line 2 @@', '-     Integer x = 1;', '+     Integer x = 2;'] }]);
+    assert.strictEqual(diffs[1].files[0].fileName, 'objects/Account.object (fields Account.Industry__c)');
+    assert.deepStrictEqual(diffs[1].files[0].lines.slice(1), ['-         <length>40</length>', '+         <length>80</length>']);
+});
@@ -0,0 +1,54 @@
+// test/soqlbuilder.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    escapeSoqlString,
+    dateLiteral,
+    dateTimeLiteral,
+    soql,
+    findPlaceholders,
+    bindParams,
+    parseParamArgs
+} = require('../lib/soqlbuilder');
+
+test('escapeSoqlString escapes quotes, backslashes and control characters', () => {
+    assert.strictEqual(escapeSoqlString('O\'Brien \\ "x"\n'), 'O\\\'Brien \\\\ \\"x\\"\\n');
+});
+
+test('soql quotes bound strings so a value cannot end the literal', () => {
+    const name = 'x\' OR Name != \'';
+    assert.strictEqual(soql`SELECT Id FROM User WHERE Username = ${name}`,
+        'SELECT Id FROM User WHERE Username = \'x\\\' OR Name != \\\'\'');
+    assert.strictEqual(soql`WHERE Id IN ${['a', 'b']} AND Amount > ${5} AND IsActive = ${true} AND Owner = ${null}`,
+        'WHERE Id IN (\'a\', \'b\') AND Amount > 5 AND IsActive = true AND Owner = null');
+    assert.throws(() => soql`WHERE Id IN ${[]}`, /empty list/);
+});
+
+test('date and datetime literals are validated, not quoted', () => {
+    assert.strictEqual(soql`WHERE CreatedDate > ${dateTimeLiteral('2024-02-29T10:00:00Z')}`, 'WHERE CreatedDate > 2024-02-29T10:00:00Z');
+    assert.strictEqual(dateLiteral('2024-02-29').soqlLiteral, '2024-02-29');
+    assert.throws(() => dateLiteral('2023-02-29'), /Invalid date/);
+    assert.throws(() => dateLiteral('2024-01-01 OR Id != null'), /Invalid date/);
+    assert.throws(() => dateTimeLiteral('2024-01-01T24:00:00Z'), /Invalid datetime/);
+});
+
+test('placeholders inside string literals are left alone', () => {
+    const query = 'SELECT Id FROM Account WHERE Name = \':notParam\' AND OwnerId = :owner AND Type IN :types';
+    assert.deepStrictEqual(findPlaceholders(query), ['owner', 'types']);
+    assert.strictEqual(bindParams(query, { owner: '005\'x', types: ['A', 'B'] }),
+        'SELECT Id FROM Account WHERE Name = \':notParam\' AND OwnerId = \'005\\\'x\' AND Type IN (\'A\', \'B\')');
+    assert.throws(() => bindParams(query, { owner: 'x' }), /Missing SOQL parameter\(s\): types/);
+});
+
+test('parseParamArgs converts typed values and rejects bad ones', () => {
+    const params = parseParamArgs(['name=O\'Hara', 'limit:number=10', 'active:boolean=TRUE', 'since:date=2024-01-31', 'ids:list=a, b', 'none:null=']);
+    assert.strictEqual(params.name, 'O\'Hara');
+    assert.strictEqual(params.limit, 10);
+    assert.strictEqual(params.active, true);
+    assert.strictEqual(params.since.soqlLiteral, '2024-01-31');
+    assert.deepStrictEqual(params.ids, ['a', 'b']);
+    assert.strictEqual(params.none, null);
+    assert.throws(() => parseParamArgs(['limit:number=']), /Parameter "limit": Invalid number ""/);
+    assert.throws(() => parseParamArgs(['x:color=red']), /Unknown parameter type "color"/);
+    assert.throws(() => parseParamArgs(['no equals sign']), /Invalid parameter/);
+});